@@ -0,0 +1,161 @@
+// ---------- Accounts ----------
+//
+// Passwords are kept as salted scrypt hashes. Logins hand out stateless
+// tokens, "<payload>.<signature>" in base64url, signed with HMAC-SHA256 so
+// the server can check them without a session store.
+//
+// User records: { id, username, passwordHash, createdAt }. The id is
+// "user:" plus the lowercased username, so it never clashes with guest ids.
+// Rated games add rating, gamesPlayed and ratingHistory (see rating.js).
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+class AccountError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AccountError";
+    this.code = code;
+  }
+}
+
+function userIdFor(username) {
+  return `user:${username.trim().toLowerCase()}`;
+}
+
+// Accounts' ids, as opposed to guests' ("guest:...") and the bot's
+function isUserId(id) {
+  return id.startsWith("user:");
+}
+
+// Returns null or an AccountError
+function validateCredentials(username, password) {
+  if (typeof username !== "string" || !/^[\w-]{3,20}$/.test(username)) {
+    return new AccountError(
+      "INVALID_USERNAME",
+      "Usernames are 3-20 letters, digits, '_' or '-'."
+    );
+  }
+  if (
+    typeof password !== "string" ||
+    password.length < 8 ||
+    password.length > 200
+  ) {
+    return new AccountError(
+      "INVALID_PASSWORD",
+      "Passwords are 8-200 characters long."
+    );
+  }
+  return null;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored).split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, "hex");
+  const key = await scrypt(password, Buffer.from(saltHex, "hex"), KEY_LENGTH);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function signature(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function signToken(payload, secret, now = Date.now()) {
+  const data = Buffer.from(
+    JSON.stringify({ ...payload, exp: now + TOKEN_TTL_MS })
+  ).toString("base64url");
+  return `${data}.${signature(data, secret)}`;
+}
+
+// The token's payload, or null if it is forged, malformed or expired
+function verifyToken(token, secret, now = Date.now()) {
+  if (typeof token !== "string") return null;
+
+  const [data, sig] = token.split(".");
+  if (!data || !sig) return null;
+
+  const expected = Buffer.from(signature(data, secret));
+  const actual = Buffer.from(sig);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  return payload && payload.exp > now ? payload : null;
+}
+
+// A user as others may see it
+function publicUser({ id, username }) {
+  return { id, username };
+}
+
+// Returns { user } or { error } with an AccountError
+async function registerUser(storage, username, password) {
+  const error = validateCredentials(username, password);
+  if (error) return { error };
+
+  const user = {
+    id: userIdFor(username),
+    username: username.trim(),
+    passwordHash: await hashPassword(password),
+    createdAt: Date.now(),
+  };
+
+  if (!(await storage.createUser(user))) {
+    return {
+      error: new AccountError("USERNAME_TAKEN", "That username is taken."),
+    };
+  }
+  return { user };
+}
+
+// Returns { user } or { error } with an AccountError
+async function authenticate(storage, username, password) {
+  const invalid = {
+    error: new AccountError(
+      "INVALID_CREDENTIALS",
+      "Wrong username or password."
+    ),
+  };
+  if (typeof username !== "string" || typeof password !== "string") {
+    return invalid;
+  }
+
+  const user = await storage.getUser(userIdFor(username));
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return invalid;
+  }
+  return { user };
+}
+
+module.exports = {
+  AccountError,
+  userIdFor,
+  isUserId,
+  signToken,
+  verifyToken,
+  publicUser,
+  registerUser,
+  authenticate,
+};
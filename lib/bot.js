@@ -0,0 +1,199 @@
+// ---------- Computer opponent ----------
+//
+// Alpha-beta (negamax) search over the rules engine's own move generator, so
+// the bot always plays whole turns, capture chains and mustContinueFrom
+// included, exactly as the server would accept them.
+//
+// The server asks through chooseMoveInWorker, which runs the search in a
+// worker thread so a long think doesn't hold up every other room.
+
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("worker_threads");
+const { getLegalMoves, applyMove } = require("./rules");
+
+// depth: search depth in turns, timeMs: search budget, noise: random score
+// added to each root move (in men), blunderChance: odds of a random move
+const LEVELS = {
+  easy: { depth: 1, timeMs: 100, noise: 1.5, blunderChance: 0.25 },
+  medium: { depth: 3, timeMs: 500, noise: 0.3, blunderChance: 0 },
+  hard: { depth: 6, timeMs: 1500, noise: 0, blunderChance: 0 },
+};
+
+const DEFAULT_LEVEL = "medium";
+
+const MAN_VALUE = 100;
+const KING_VALUE = 300;
+const WIN_SCORE = 100000;
+
+function getLevel(id) {
+  return Object.hasOwn(LEVELS, id) ? LEVELS[id] : null;
+}
+
+// Material plus a small bonus for advanced men, from `color`'s point of view
+function evaluate(game, color) {
+  const { board } = game;
+  const size = board.length;
+  let score = 0;
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const piece = board[row][col];
+      if (!piece) continue;
+
+      const isKing = piece === piece.toUpperCase();
+      const owner = piece.toLowerCase();
+      const advance = owner === "w" ? size - 1 - row : row;
+      const value = isKing ? KING_VALUE : MAN_VALUE + advance * 2;
+
+      score += owner === color ? value : -value;
+    }
+  }
+
+  return score;
+}
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+// Thrown to unwind the search when the time budget runs out
+class SearchTimeout extends Error {}
+
+// Negamax score of `game` for the side to move
+function search(game, depth, alpha, beta, deadline) {
+  if (Date.now() > deadline) throw new SearchTimeout();
+
+  const color = game.currentPlayer;
+
+  if (game.status === "finished") {
+    // The side to move just lost (or it is a draw); prefer quicker wins
+    if (!game.winner) return 0;
+    return game.winner === color ? WIN_SCORE + depth : -WIN_SCORE - depth;
+  }
+  if (depth === 0) return evaluate(game, color);
+
+  let best = -Infinity;
+  for (const move of getLegalMoves(game)) {
+    const { game: next } = applyMove(game, { path: move.path }, color);
+    const score = -search(next, depth - 1, -beta, -alpha, deadline);
+
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+
+  return best;
+}
+
+// Scores every root move at `depth`: [{ move, score }]
+function scoreMoves(game, moves, depth, deadline) {
+  const color = game.currentPlayer;
+
+  return moves.map((move) => {
+    const { game: next } = applyMove(game, { path: move.path }, color);
+    return {
+      move,
+      score: -search(next, depth - 1, -Infinity, Infinity, deadline),
+    };
+  });
+}
+
+// Picks a whole turn for the side to move: { from, to, path, captured },
+// or null when there is nothing to play. Iterative deepening keeps the
+// result of the deepest search that finished within the time budget.
+function chooseMove(game, levelId = DEFAULT_LEVEL) {
+  const level = getLevel(levelId) || getLevel(DEFAULT_LEVEL);
+  const moves = getLegalMoves(game);
+
+  if (moves.length === 0) return null;
+  if (moves.length === 1) return moves[0];
+  if (Math.random() < level.blunderChance) return randomItem(moves);
+
+  const deadline = Date.now() + level.timeMs;
+  let scored = moves.map((move) => ({ move, score: 0 }));
+
+  for (let depth = 1; depth <= level.depth; depth++) {
+    try {
+      scored = scoreMoves(game, moves, depth, deadline);
+    } catch (err) {
+      if (err instanceof SearchTimeout) break;
+      throw err;
+    }
+  }
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const { move, score } of scored) {
+    const noisy = score + (Math.random() - 0.5) * 2 * level.noise * MAN_VALUE;
+    if (noisy > bestScore) {
+      best = move;
+      bestScore = noisy;
+    }
+  }
+
+  return best;
+}
+
+// ---------- Worker thread ----------
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map(); // request id -> { resolve, reject }
+
+function getWorker() {
+  if (worker) return worker;
+
+  const thread = new Worker(__filename, { workerData: "bot" });
+
+  thread.on("message", ({ id, move }) => {
+    pendingRequests.get(id)?.resolve(move);
+    pendingRequests.delete(id);
+    // An idle worker shouldn't keep the process alive
+    if (pendingRequests.size === 0) thread.unref();
+  });
+
+  // A crashed worker fails what it was asked and is replaced on next use
+  const failAll = (err) => {
+    if (worker !== thread) return;
+    worker = null;
+    for (const { reject } of pendingRequests.values()) reject(err);
+    pendingRequests.clear();
+  };
+  thread.on("error", failAll);
+  thread.on("exit", (code) => {
+    failAll(new Error(`Bot worker stopped with code ${code}`));
+  });
+
+  worker = thread;
+  return worker;
+}
+
+// chooseMove off the main thread. Resolves to the same result.
+function chooseMoveInWorker(game, levelId = DEFAULT_LEVEL) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+
+    const thread = getWorker();
+    thread.ref();
+    thread.postMessage({ id, game, levelId });
+  });
+}
+
+if (!isMainThread && workerData === "bot") {
+  parentPort.on("message", ({ id, game, levelId }) => {
+    parentPort.postMessage({ id, move: chooseMove(game, levelId) });
+  });
+}
+
+module.exports = {
+  DEFAULT_LEVEL,
+  getLevel,
+  evaluate,
+  chooseMove,
+  chooseMoveInWorker,
+};
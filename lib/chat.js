@@ -0,0 +1,76 @@
+// ---------- Chat ----------
+//
+// Message checks for in-room chat. Each socket gets a small token bucket: a
+// burst of CHAT_BURST messages, then one more every 1 / CHAT_REFILL_PER_SECOND
+// seconds.
+
+const MAX_MESSAGE_LENGTH = 300;
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_BURST = 5;
+const CHAT_REFILL_PER_SECOND = 0.5;
+
+// Masked wherever they start a word, so "shitty" is caught too
+const BLOCKED_WORDS = [
+  "fuck",
+  "shit",
+  "bitch",
+  "cunt",
+  "asshole",
+  "bastard",
+  "dickhead",
+  "motherfucker",
+  "wanker",
+  "twat",
+];
+
+const BLOCKED_PATTERN = new RegExp(
+  `\\b(?:${BLOCKED_WORDS.join("|")})\\w*`,
+  "gi"
+);
+
+function censor(text) {
+  return text.replace(BLOCKED_PATTERN, (word) => "*".repeat(word.length));
+}
+
+// Returns { text } ready to send, or { error } with the reason it can't be:
+// 'empty' | 'tooLong'
+function cleanMessage(text) {
+  if (typeof text !== "string") return { error: "empty" };
+
+  // Control characters could mess up other people's screens
+  const trimmed = text.replace(/[\u0000-\u001f\u007f]/g, " ").trim();
+  if (trimmed === "") return { error: "empty" };
+  if (trimmed.length > MAX_MESSAGE_LENGTH) return { error: "tooLong" };
+
+  return { text: censor(trimmed) };
+}
+
+function createRateLimit() {
+  return { tokens: CHAT_BURST, updatedAt: null };
+}
+
+// Takes a token from `limit` if one is left. Mutates `limit`.
+function allowMessage(limit, now) {
+  if (limit.updatedAt !== null) {
+    const refill = ((now - limit.updatedAt) / 1000) * CHAT_REFILL_PER_SECOND;
+    limit.tokens = Math.min(CHAT_BURST, limit.tokens + refill);
+  }
+  limit.updatedAt = now;
+
+  if (limit.tokens < 1) return false;
+  limit.tokens -= 1;
+  return true;
+}
+
+// `history` with `message` added, keeping only the latest messages
+function appendMessage(history, message) {
+  return [...history, message].slice(-CHAT_HISTORY_LIMIT);
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  cleanMessage,
+  createRateLimit,
+  allowMessage,
+  appendMessage,
+};
@@ -0,0 +1,136 @@
+// ---------- Game clocks ----------
+//
+// A clock is a plain object kept next to the game: remaining time per color,
+// the color whose time is running and when its turn started. The functions
+// below update it in place; `now` is a Date.now() timestamp.
+//
+// Time controls:
+//   { type: "fischer", initialMs, incrementMs } - e.g. "5+3": 5 minutes each,
+//                                                3 seconds added per move
+//   { type: "perMove", perMoveMs }             - a fixed budget for each move
+
+// Longest budget or increment a time control may use
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Accepts "5+3" (minutes + increment seconds), { initialMs, incrementMs }
+// or { perMoveMs }. Returns a time control or null if it can't be read.
+function parseTimeControl(value) {
+  if (typeof value === "string") {
+    const match = /^(\d+(?:\.\d+)?)\+(\d+)$/.exec(value.trim());
+    if (!match) return null;
+    return parseTimeControl({
+      initialMs: Number(match[1]) * 60 * 1000,
+      incrementMs: Number(match[2]) * 1000,
+    });
+  }
+
+  if (!value || typeof value !== "object") return null;
+
+  const isDuration = (ms) =>
+    Number.isFinite(ms) && ms >= 0 && ms <= MAX_DURATION_MS;
+
+  if (value.perMoveMs !== undefined) {
+    if (!isDuration(value.perMoveMs) || value.perMoveMs === 0) return null;
+    return { type: "perMove", perMoveMs: value.perMoveMs };
+  }
+
+  const { initialMs, incrementMs = 0 } = value;
+  if (!isDuration(initialMs) || initialMs === 0 || !isDuration(incrementMs)) {
+    return null;
+  }
+  return { type: "fischer", initialMs, incrementMs };
+}
+
+// Compares two time controls as returned by parseTimeControl (or null)
+function isSameTimeControl(a, b) {
+  if (!a || !b) return a === b;
+  return (
+    a.type === b.type &&
+    a.initialMs === b.initialMs &&
+    a.incrementMs === b.incrementMs &&
+    a.perMoveMs === b.perMoveMs
+  );
+}
+
+function budgetOf(timeControl) {
+  return timeControl.type === "perMove"
+    ? timeControl.perMoveMs
+    : timeControl.initialMs;
+}
+
+function createClock(timeControl) {
+  const budget = budgetOf(timeControl);
+  return {
+    timeControl,
+    remaining: { w: budget, b: budget },
+    active: null, // color whose time is running
+    turnStartedAt: null,
+  };
+}
+
+function getRemaining(clock, color, now) {
+  const elapsed =
+    clock.active === color && clock.turnStartedAt !== null
+      ? now - clock.turnStartedAt
+      : 0;
+  return Math.max(0, clock.remaining[color] - elapsed);
+}
+
+function startClock(clock, color, now) {
+  if (clock.timeControl.type === "perMove") {
+    clock.remaining[color] = clock.timeControl.perMoveMs;
+  }
+  clock.active = color;
+  clock.turnStartedAt = now;
+}
+
+function stopClock(clock, now) {
+  if (clock.active) {
+    clock.remaining[clock.active] = getRemaining(clock, clock.active, now);
+  }
+  clock.active = null;
+  clock.turnStartedAt = null;
+}
+
+// Ends the running color's turn and starts `nextColor`'s
+function switchClock(clock, nextColor, now) {
+  const mover = clock.active;
+  stopClock(clock, now);
+
+  if (mover && clock.timeControl.type === "fischer") {
+    clock.remaining[mover] += clock.timeControl.incrementMs;
+  }
+
+  startClock(clock, nextColor, now);
+}
+
+// The color whose time has run out, if any
+function getFlaggedColor(clock, now) {
+  if (!clock.active) return null;
+  return getRemaining(clock, clock.active, now) <= 0 ? clock.active : null;
+}
+
+// Clock state as sent to clients
+function serializeClock(clock, now) {
+  return {
+    timeControl: clock.timeControl,
+    remaining: {
+      w: getRemaining(clock, "w", now),
+      b: getRemaining(clock, "b", now),
+    },
+    active: clock.active,
+  };
+}
+
+module.exports = {
+  MAX_DURATION_MS,
+  parseTimeControl,
+  isSameTimeControl,
+  createClock,
+  getRemaining,
+  startClock,
+  stopClock,
+  switchClock,
+  getFlaggedColor,
+  serializeClock,
+};
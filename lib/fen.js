@@ -0,0 +1,224 @@
+// ---------- FEN positions ----------
+//
+// Positions use the PDN FEN notation: side to move, then each side's pieces
+// as square numbers, kings prefixed with K, e.g. "W:W31,32,K45:B1-5,12".
+// Dark squares are numbered 1..N row by row from black's side of the board,
+// so pieces can only ever stand on dark squares.
+//
+// An optional ":C<square>" section marks a capture chain in progress: the
+// piece on that square must keep capturing (game.mustContinueFrom).
+
+const {
+  createNewGame,
+  getAllPlayerPieces,
+  hasCaptureFrom,
+  playerHasAnyMove,
+} = require("./rules");
+const { DEFAULT_VARIANT, getVariant } = require("./variants");
+
+class NotationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "NotationError";
+    this.code = code;
+  }
+}
+
+function squareCount(size) {
+  return (size * size) / 2;
+}
+
+// Square number (1-based) -> { row, col } on a board of `size`
+function squareToCoords(size, square) {
+  const index = square - 1;
+  const perRow = size / 2;
+  const row = Math.floor(index / perRow);
+  const col = (index % perRow) * 2 + (row % 2 === 0 ? 1 : 0);
+  return { row, col };
+}
+
+function coordsToSquare(size, { row, col }) {
+  return row * (size / 2) + Math.floor(col / 2) + 1;
+}
+
+// "K12" or "1-5" -> { first, last, king }, not yet checked against the board
+function parsePieceToken(token) {
+  const match = /^(K?)(\d+)(?:-(\d+))?$/i.exec(token.trim());
+  if (!match) return null;
+
+  const king = match[1] !== "";
+  const first = Number(match[2]);
+  const last = match[3] ? Number(match[3]) : first;
+  if (last < first) return null;
+
+  return { first, last, king };
+}
+
+// Returns { board, currentPlayer, mustContinueFrom } or { error } with a
+// NotationError
+function parseFen(fen, variantId = DEFAULT_VARIANT) {
+  const variant = getVariant(variantId);
+  if (!variant) {
+    return {
+      error: new NotationError(
+        "UNKNOWN_VARIANT",
+        `Unknown variant: ${variantId}`
+      ),
+    };
+  }
+
+  const size = variant.boardSize;
+  const invalid = (message) => ({
+    error: new NotationError("INVALID_FEN", message),
+  });
+
+  if (typeof fen !== "string") return invalid("FEN must be a string.");
+
+  const [turn, ...sections] = fen.trim().replace(/\.$/, "").split(":");
+  if (!/^[WB]$/i.test(turn)) {
+    return invalid("FEN must start with the side to move (W or B).");
+  }
+
+  const board = Array.from({ length: size }, () => Array(size).fill(null));
+  let mustContinueFrom = null;
+
+  for (const section of sections) {
+    if (/^C/i.test(section)) {
+      const square = Number(section.slice(1));
+      if (
+        !Number.isInteger(square) ||
+        square < 1 ||
+        square > squareCount(size)
+      ) {
+        return invalid(`Cannot read the continuation square "${section}".`);
+      }
+      mustContinueFrom = squareToCoords(size, square);
+      continue;
+    }
+
+    const color = section[0]?.toLowerCase();
+    if (color !== "w" && color !== "b") {
+      return invalid(`Unknown side "${section[0]}" in FEN.`);
+    }
+
+    const list = section.slice(1);
+    if (list.trim() === "") continue;
+
+    for (const token of list.split(",")) {
+      const range = parsePieceToken(token);
+      if (!range) return invalid(`Cannot read "${token}" in FEN.`);
+
+      // Checked before walking the range, which could be huge
+      const { first, last, king } = range;
+      for (const square of [first, last]) {
+        if (square < 1 || square > squareCount(size)) {
+          return invalid(`Square ${square} is not on the board.`);
+        }
+      }
+
+      for (let square = first; square <= last; square++) {
+        const { row, col } = squareToCoords(size, square);
+        if (board[row][col] !== null) {
+          return invalid(`Square ${square} is listed twice.`);
+        }
+        board[row][col] = king ? color.toUpperCase() : color;
+      }
+    }
+  }
+
+  return { board, currentPlayer: turn.toLowerCase(), mustContinueFrom };
+}
+
+// Sanity checks for a set-up position. Returns null or a NotationError.
+function validatePosition(game, variant) {
+  const { board, currentPlayer, mustContinueFrom } = game;
+  const invalid = (message) => new NotationError("INVALID_POSITION", message);
+  const maxPieces = variant.startingRows * (variant.boardSize / 2);
+
+  for (const color of ["w", "b"]) {
+    const pieces = getAllPlayerPieces(board, color);
+    const name = color === "w" ? "White" : "Black";
+
+    if (pieces.length === 0) return invalid(`${name} has no pieces.`);
+    if (pieces.length > maxPieces) {
+      return invalid(`${name} has more than ${maxPieces} pieces.`);
+    }
+
+    // A man on the far row would already have been crowned
+    const promotionRow = color === "w" ? 0 : board.length - 1;
+    if (
+      pieces.some(({ row, piece }) => row === promotionRow && piece === color)
+    ) {
+      return invalid(`${name} has an uncrowned man on its promotion row.`);
+    }
+  }
+
+  if (mustContinueFrom) {
+    const piece = board[mustContinueFrom.row][mustContinueFrom.col];
+    if (!piece || piece.toLowerCase() !== currentPlayer) {
+      return invalid(
+        "The continuation square must hold a piece of the side to move."
+      );
+    }
+    if (!hasCaptureFrom(game, mustContinueFrom.row, mustContinueFrom.col)) {
+      return invalid(
+        "The piece on the continuation square has nothing to capture."
+      );
+    }
+  } else if (!playerHasAnyMove(game, currentPlayer)) {
+    return invalid("The side to move has no legal move.");
+  }
+
+  return null;
+}
+
+function toFen(game) {
+  const size = game.board.length;
+  const squares = { w: [], b: [] };
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const piece = game.board[row][col];
+      if (!piece) continue;
+
+      const square = coordsToSquare(size, { row, col });
+      const isKing = piece === piece.toUpperCase();
+      squares[piece.toLowerCase()].push(isKing ? `K${square}` : `${square}`);
+    }
+  }
+
+  const turn = game.currentPlayer.toUpperCase();
+  const fen = `${turn}:W${squares.w.join(",")}:B${squares.b.join(",")}`;
+  if (!game.mustContinueFrom) return fen;
+
+  return `${fen}:C${coordsToSquare(size, game.mustContinueFrom)}`;
+}
+
+// Builds a fresh game of `variantId` starting from `fen`, after checking the
+// position makes sense. Returns { game } or { error } with a NotationError.
+function createGameFromFen(fen, variantId = DEFAULT_VARIANT) {
+  const position = parseFen(fen, variantId);
+  if (position.error) return position;
+
+  const game = createNewGame(variantId);
+  game.board = position.board;
+  game.currentPlayer = position.currentPlayer;
+  game.mustContinueFrom = position.mustContinueFrom;
+
+  const error = validatePosition(game, getVariant(variantId));
+  if (error) return { error };
+
+  game.startFen = toFen(game);
+
+  return { game };
+}
+
+module.exports = {
+  NotationError,
+  squareToCoords,
+  coordsToSquare,
+  parseFen,
+  validatePosition,
+  toFen,
+  createGameFromFen,
+};
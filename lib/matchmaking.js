@@ -0,0 +1,67 @@
+// ---------- Matchmaking ----------
+//
+// Pairs queued players who want the same kind of game. The accepted rating
+// gap starts narrow and widens the longer a player waits, so nobody waits
+// forever for a perfect opponent.
+//
+// Queue entries: { id, variant, timeControl, rated, rating, joinedAt }, with
+// timeControl as returned by parseTimeControl (null for untimed games).
+
+const { isSameTimeControl } = require("./clock");
+
+const BASE_RATING_RANGE = 100;
+const RANGE_GROWTH_PER_SECOND = 10;
+const MAX_RATING_RANGE = 1000;
+
+// Largest rating gap `entry` accepts at `now`
+function getRatingRange(entry, now) {
+  const waitedSeconds = Math.max(0, now - entry.joinedAt) / 1000;
+  return Math.min(
+    BASE_RATING_RANGE + waitedSeconds * RANGE_GROWTH_PER_SECOND,
+    MAX_RATING_RANGE
+  );
+}
+
+function isCompatible(a, b, now) {
+  if (a.variant !== b.variant || a.rated !== b.rated) return false;
+  if (!isSameTimeControl(a.timeControl, b.timeControl)) return false;
+
+  // Both sides have to accept the gap
+  const gap = Math.abs(a.rating - b.rating);
+  return gap <= Math.min(getRatingRange(a, now), getRatingRange(b, now));
+}
+
+// Pairs as many entries as possible: [[a, b]]. Whoever has waited longest
+// is served first and gets the closest-rated compatible opponent.
+function findPairs(entries, now) {
+  const waiting = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+  const paired = new Set();
+  const pairs = [];
+
+  for (const entry of waiting) {
+    if (paired.has(entry)) continue;
+
+    let best = null;
+    for (const other of waiting) {
+      if (other === entry || paired.has(other)) continue;
+      if (!isCompatible(entry, other, now)) continue;
+
+      const gap = Math.abs(entry.rating - other.rating);
+      if (!best || gap < Math.abs(entry.rating - best.rating)) best = other;
+    }
+
+    if (best) {
+      paired.add(entry);
+      paired.add(best);
+      pairs.push([entry, best]);
+    }
+  }
+
+  return pairs;
+}
+
+module.exports = {
+  getRatingRange,
+  isCompatible,
+  findPairs,
+};
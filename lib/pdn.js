@@ -0,0 +1,201 @@
+// ---------- PDN (Portable Draughts Notation) ----------
+//
+// Export writes the tag pairs and the move list of a game; import replays a
+// PDN move list through the rules engine, so only legal games load.
+
+const { createNewGame, getLegalMoves, applyMove } = require("./rules");
+const { DEFAULT_VARIANT, getVariant } = require("./variants");
+const {
+  NotationError,
+  squareToCoords,
+  coordsToSquare,
+  createGameFromFen,
+} = require("./fen");
+
+// Standard PDN GameType numbers; other variants are identified by our own
+// Variant tag only
+const GAME_TYPES = {
+  international: 20,
+  english: 21,
+  russian: 25,
+  brazilian: 26,
+};
+
+function resultOf(game) {
+  if (game.status !== "finished") return "*";
+  if (game.winner === "w") return "2-0";
+  if (game.winner === "b") return "0-2";
+  return "1-1";
+}
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(
+    date.getUTCDate()
+  )}`;
+}
+
+function formatMove(size, entry) {
+  const separator = entry.captured.length > 0 ? "x" : "-";
+  return entry.path
+    .map((square) => coordsToSquare(size, square))
+    .join(separator);
+}
+
+// `players` are the names to put in the White/Black tags: { w, b }
+function exportPdn(game, { players = {}, event = "Casual game" } = {}) {
+  const size = game.board.length;
+  const result = resultOf(game);
+  const firstMove = game.history[0];
+
+  const tags = {
+    Event: event,
+    Date: formatDate(firstMove ? firstMove.timestamp : Date.now()),
+    White: players.w || "?",
+    Black: players.b || "?",
+    Result: result,
+    Variant: game.variant,
+  };
+  if (GAME_TYPES[game.variant]) {
+    tags.GameType = String(GAME_TYPES[game.variant]);
+  }
+  if (game.startFen) tags.FEN = game.startFen;
+
+  const lines = Object.entries(tags).map(
+    ([name, value]) => `[${name} "${String(value).replace(/"/g, "'")}"]`
+  );
+
+  // Number full moves, each starting with the variant's first player; a game
+  // set up from a FEN can start with the other side to move
+  const { firstPlayer } =
+    getVariant(game.variant) || getVariant(DEFAULT_VARIANT);
+  const tokens = [];
+  let moveNumber = 1;
+  for (const [index, entry] of game.history.entries()) {
+    if (entry.player === firstPlayer) {
+      tokens.push(`${moveNumber}.`);
+    } else if (index === 0) {
+      tokens.push(`${moveNumber}...`);
+    }
+    tokens.push(formatMove(size, entry));
+    if (entry.player !== firstPlayer) moveNumber++;
+  }
+  tokens.push(result);
+
+  return `${lines.join("\n")}\n\n${tokens.join(" ")}\n`;
+}
+
+function parseTags(text) {
+  const tags = {};
+  for (const [, name, value] of text.matchAll(/\[(\w+)\s+"([^"]*)"\]/g)) {
+    tags[name] = value;
+  }
+  return tags;
+}
+
+function variantFromTags(tags) {
+  if (tags.Variant) return tags.Variant;
+
+  const gameType = Number(String(tags.GameType || "").split(",")[0]);
+  const match = Object.keys(GAME_TYPES).find(
+    (id) => GAME_TYPES[id] === gameType
+  );
+  return match || DEFAULT_VARIANT;
+}
+
+// Move tokens of the PDN movetext, without move numbers, results,
+// comments or variations
+function parseMoveTokens(text) {
+  const movetext = text
+    .replace(/\[[^\]]*\]/g, " ")
+    .replace(/\{[^}]*\}/g, " ")
+    .replace(/\([^)]*\)/g, " ");
+
+  return movetext
+    .split(/\s+/)
+    .map((token) => token.replace(/^\d+\.(\.\.)?/, "").replace(/[!?]+$/, ""))
+    .filter((token) => token && !/^(\*|2-0|0-2|1-1|1-0|0-1|0-0)$/.test(token));
+}
+
+// Finds the legal move a PDN token like "32-28", "28x19" or "28x19x10"
+// stands for. Short captures only name the first and last square.
+function findLegalMove(game, token) {
+  const size = game.board.length;
+  const squares = token.split(/[-x:]/).map(Number);
+  if (squares.length < 2 || squares.some((n) => !Number.isInteger(n))) {
+    return null;
+  }
+
+  const wanted = squares.map((n) => squareToCoords(size, n));
+  const sameSquare = (a, b) => a.row === b.row && a.col === b.col;
+
+  const matches = getLegalMoves(game).filter((move) => {
+    if (!sameSquare(move.from, wanted[0])) return false;
+    if (!sameSquare(move.to, wanted[wanted.length - 1])) return false;
+    if (wanted.length === 2) return true;
+    return (
+      move.path.length === wanted.length &&
+      move.path.every((square, i) => sameSquare(square, wanted[i]))
+    );
+  });
+
+  // Ambiguous short captures need the full path
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Returns { game, tags } with the position after the last move,
+// or { error } with a NotationError.
+function importPdn(text) {
+  if (typeof text !== "string") {
+    return { error: new NotationError("INVALID_PDN", "PDN must be a string.") };
+  }
+
+  const tags = parseTags(text);
+  const variantId = variantFromTags(tags);
+  if (!getVariant(variantId)) {
+    return {
+      error: new NotationError(
+        "UNKNOWN_VARIANT",
+        `Unknown variant: ${variantId}`
+      ),
+    };
+  }
+
+  let game;
+  if (tags.FEN) {
+    const start = createGameFromFen(tags.FEN, variantId);
+    if (start.error) return start;
+    game = start.game;
+  } else {
+    game = createNewGame(variantId);
+  }
+
+  // Moves can only be applied to a game in progress
+  game.status = "playing";
+
+  for (const token of parseMoveTokens(text)) {
+    const move = findLegalMove(game, token);
+    const result =
+      move && applyMove(game, { path: move.path }, game.currentPlayer);
+
+    if (!result || result.error) {
+      return {
+        error: new NotationError(
+          "ILLEGAL_MOVE",
+          `Move ${token} is not legal in this position.`
+        ),
+      };
+    }
+    game = result.game;
+  }
+
+  if (game.status === "playing") game.status = "waiting";
+
+  return { game, tags };
+}
+
+module.exports = {
+  exportPdn,
+  importPdn,
+};
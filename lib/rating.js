@@ -0,0 +1,45 @@
+// ---------- Ratings ----------
+//
+// Elo ratings for rated games. Newcomers start at DEFAULT_RATING and their
+// rating moves faster for their first few games, until it has settled.
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 24;
+const PROVISIONAL_K_FACTOR = 40;
+const PROVISIONAL_GAMES = 20;
+
+// Chance of `rating` scoring against `opponentRating`, from 0 to 1
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// `score` is 1 for a win, 0.5 for a draw and 0 for a loss
+function ratingAfter({ rating, gamesPlayed }, opponentRating, score) {
+  const k = gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+  return Math.round(
+    rating + k * (score - expectedScore(rating, opponentRating))
+  );
+}
+
+// Rates a finished game. `players` is { w, b } of { rating, gamesPlayed } and
+// `winner` is "w", "b" or null for a draw.
+// Returns { w, b } of { before, after, delta }.
+function rateGame(players, winner) {
+  const changes = {};
+
+  for (const color of ["w", "b"]) {
+    const opponent = players[color === "w" ? "b" : "w"];
+    const score = winner === null ? 0.5 : winner === color ? 1 : 0;
+    const before = players[color].rating;
+    const after = ratingAfter(players[color], opponent.rating, score);
+    changes[color] = { before, after, delta: after - before };
+  }
+
+  return changes;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  rateGame,
+};
@@ -0,0 +1,702 @@
+// ---------- Rules engine (dam/checkers) ----------
+//
+// Shared by every server entry point, bots and tools. Everything in here is
+// pure: no Socket.IO, no Express, no logging, and a game passed in is never
+// mutated. Moves return either { game } with the new state or { error }.
+//
+// Board size and rule choices come from the game's variant (see variants.js).
+
+const { DEFAULT_VARIANT, getVariant } = require("./variants");
+
+const DIRECTIONS = [
+  { dr: -1, dc: -1 },
+  { dr: -1, dc: 1 },
+  { dr: 1, dc: -1 },
+  { dr: 1, dc: 1 },
+];
+
+class MoveError extends Error {
+  // `details` carries extra data for the client, e.g. the paths to choose from
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = "MoveError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function createInitialBoard(variant = getVariant(DEFAULT_VARIANT)) {
+  const { boardSize: size, startingRows } = variant;
+  const board = Array.from({ length: size }, () => Array(size).fill(null));
+
+  // Black at top
+  for (let row = 0; row < startingRows; row++) {
+    for (let col = 0; col < size; col++) {
+      if ((row + col) % 2 === 1) {
+        board[row][col] = "b"; // black piece
+      }
+    }
+  }
+
+  // White at bottom
+  for (let row = size - startingRows; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if ((row + col) % 2 === 1) {
+        board[row][col] = "w"; // white piece
+      }
+    }
+  }
+
+  return board;
+}
+
+// Throws if `variantId` is not a known variant
+function createNewGame(variantId = DEFAULT_VARIANT) {
+  const variant = getVariant(variantId);
+  if (!variant) throw new Error(`Unknown variant: ${variantId}`);
+
+  return {
+    variant: variant.id,
+    board: createInitialBoard(variant),
+    currentPlayer: variant.firstPlayer, // 'w' | 'b'
+    status: "waiting", // 'waiting' | 'playing' | 'finished'
+    winner: null,
+    // why the game finished: 'noPieces' | 'noMoves' | 'threefoldRepetition' |
+    // 'noProgress' from the rules, or e.g. 'timeout' when the server ends it
+    endReason: null,
+    // if not null, the same piece must continue capturing from this square
+    mustContinueFrom: null,
+    // pieces taken so far in the current capture chain that stay on the
+    // board until it ends (variants with capturedRemoval 'atEnd')
+    pendingCaptures: [],
+    // FEN of the starting position when it isn't the standard opening
+    startFen: null,
+    // one entry per turn: { moveNumber, player, from, to, path, captured,
+    // promoted, timestamp }
+    history: [],
+    // times each position (board + side to move) has been seen since the
+    // last capture or man move
+    positionCounts: {},
+    // turns in a row without a capture or a man move
+    noProgressPlies: 0,
+  };
+}
+
+function getGameVariant(game) {
+  return getVariant(game.variant) || getVariant(DEFAULT_VARIANT);
+}
+
+function cloneGame(game) {
+  return {
+    ...game,
+    board: game.board.map((row) => row.slice()),
+    mustContinueFrom: game.mustContinueFrom && { ...game.mustContinueFrom },
+    pendingCaptures: (game.pendingCaptures || []).slice(),
+    history: (game.history || []).slice(),
+    positionCounts: { ...game.positionCounts },
+  };
+}
+
+function isOnBoard(board, row, col) {
+  return row >= 0 && row < board.length && col >= 0 && col < board.length;
+}
+
+// For squares that come from outside: { row, col } with integer coordinates
+// on the board
+function isBoardSquare(board, square) {
+  return (
+    Number.isInteger(square?.row) &&
+    Number.isInteger(square?.col) &&
+    isOnBoard(board, square.row, square.col)
+  );
+}
+
+function isKingPiece(piece) {
+  return piece === piece.toUpperCase();
+}
+
+// Row direction men of `color` move in: white goes up, black goes down
+function forwardOf(color) {
+  return color === "w" ? -1 : 1;
+}
+
+function promotionRowOf(board, color) {
+  return color === "w" ? 0 : board.length - 1;
+}
+
+function isPendingCapture(game, row, col) {
+  return (game.pendingCaptures || []).some((square) =>
+    isSameSquare(square, { row, col })
+  );
+}
+
+// Single capture hops available to the piece on (row, col), ignoring whose
+// turn it is: [{ to, captured }]
+function getCaptureHops(game, row, col) {
+  const { board } = game;
+  const piece = board[row]?.[col];
+  if (!piece) return [];
+
+  const variant = getGameVariant(game);
+  const isKing = isKingPiece(piece);
+  const isFlying = isKing && variant.flyingKings;
+  const forward = forwardOf(piece.toLowerCase());
+  const hops = [];
+
+  for (const { dr, dc } of DIRECTIONS) {
+    if (!isKing && !variant.menCaptureBackward && dr !== forward) continue;
+
+    let distance = 1;
+    let captured = null;
+
+    // Scan along the diagonal
+    while (true) {
+      const checkR = row + dr * distance;
+      const checkC = col + dc * distance;
+      if (!isOnBoard(board, checkR, checkC)) break;
+
+      const checkPiece = board[checkR][checkC];
+
+      if (checkPiece === null) {
+        if (captured) {
+          hops.push({ to: { row: checkR, col: checkC }, captured });
+          // Only flying kings may land further than right behind the piece
+          if (!isFlying) break;
+        } else if (!isFlying) {
+          break;
+        }
+      } else if (checkPiece.toLowerCase() === piece.toLowerCase()) {
+        // Our own piece blocks the path
+        break;
+      } else if (isPendingCapture(game, checkR, checkC)) {
+        // Already taken in this chain: it can't be taken again or jumped
+        break;
+      } else {
+        // Can't jump over two pieces
+        if (captured) break;
+        captured = { row: checkR, col: checkC };
+      }
+
+      distance++;
+    }
+  }
+
+  return hops;
+}
+
+// Non-capturing destinations for the piece on (row, col)
+function getSimpleMovesFrom(game, row, col) {
+  const { board } = game;
+  const piece = board[row]?.[col];
+  if (!piece) return [];
+
+  const isKing = isKingPiece(piece);
+  const isFlying = isKing && getGameVariant(game).flyingKings;
+  const forward = forwardOf(piece.toLowerCase());
+  const targets = [];
+
+  for (const { dr, dc } of DIRECTIONS) {
+    // Men only step forward; kings step in any direction
+    if (!isKing && dr !== forward) continue;
+
+    // Flying kings slide any number of empty squares, everything else steps once
+    for (let distance = 1; ; distance++) {
+      const r = row + dr * distance;
+      const c = col + dc * distance;
+      if (!isOnBoard(board, r, c) || board[r][c] !== null) break;
+
+      targets.push({ row: r, col: c });
+      if (!isFlying) break;
+    }
+  }
+
+  return targets;
+}
+
+function hasCaptureFrom(game, row, col) {
+  return getCaptureHops(game, row, col).length > 0;
+}
+
+function hasSimpleMoveFrom(game, row, col) {
+  return getSimpleMovesFrom(game, row, col).length > 0;
+}
+
+function getAllPlayerPieces(board, color) {
+  const pieces = [];
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board.length; col++) {
+      const piece = board[row][col];
+      if (piece && piece.toLowerCase() === color) {
+        pieces.push({ row, col, piece });
+      }
+    }
+  }
+  return pieces;
+}
+
+function playerHasAnyCapture(game, playerColor) {
+  const { board, mustContinueFrom } = game;
+
+  // If in the middle of a capture chain, only that piece matters
+  if (mustContinueFrom) {
+    return hasCaptureFrom(game, mustContinueFrom.row, mustContinueFrom.col);
+  }
+
+  // Check all player's pieces
+  const pieces = getAllPlayerPieces(board, playerColor);
+  for (const { row, col } of pieces) {
+    if (hasCaptureFrom(game, row, col)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function playerHasAnyMove(game, playerColor) {
+  const pieces = getAllPlayerPieces(game.board, playerColor);
+  for (const { row, col } of pieces) {
+    if (hasSimpleMoveFrom(game, row, col) || hasCaptureFrom(game, row, col)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Every complete capture sequence for the piece on (row, col), following the
+// chain the same way applyMove does (captured pieces leave the board at once).
+function getCaptureSequencesFrom(game, row, col) {
+  const from = { row, col };
+  const sequences = [];
+
+  for (const hop of getCaptureHops(game, row, col)) {
+    const next = cloneGame(game);
+    movePiece(next, from, hop.to);
+
+    const continuations = next.mustContinueFrom
+      ? getCaptureSequencesFrom(next, hop.to.row, hop.to.col)
+      : [];
+
+    if (continuations.length === 0) {
+      sequences.push({
+        from,
+        to: hop.to,
+        path: [from, hop.to],
+        captured: [hop.captured],
+      });
+      continue;
+    }
+
+    for (const rest of continuations) {
+      sequences.push({
+        from,
+        to: rest.to,
+        path: [from, ...rest.path],
+        captured: [hop.captured, ...rest.captured],
+      });
+    }
+  }
+
+  return sequences;
+}
+
+// Keeps only the sequences capturing the most pieces when the variant
+// requires the maximum capture
+function filterMaximumCaptures(game, sequences) {
+  if (!getGameVariant(game).maximumCapture) return sequences;
+
+  const longest = Math.max(0, ...sequences.map((s) => s.captured.length));
+  return sequences.filter((s) => s.captured.length === longest);
+}
+
+// Lists every legal move for the side to move as
+// { from, to, path, captured }, where `path` runs from the starting square
+// through each landing square of a capture chain. While a chain is in
+// progress, only its continuations from `mustContinueFrom` are listed.
+function getLegalMoves(game) {
+  const { status, currentPlayer, mustContinueFrom } = game;
+  if (status !== "playing") return [];
+
+  if (mustContinueFrom) {
+    return filterMaximumCaptures(
+      game,
+      getCaptureSequencesFrom(game, mustContinueFrom.row, mustContinueFrom.col)
+    );
+  }
+
+  const pieces = getAllPlayerPieces(game.board, currentPlayer);
+
+  // Mandatory capture: when any capture exists, only captures are legal
+  const captures = pieces.flatMap(({ row, col }) =>
+    getCaptureSequencesFrom(game, row, col)
+  );
+  if (captures.length > 0) return filterMaximumCaptures(game, captures);
+
+  return pieces.flatMap(({ row, col }) =>
+    getSimpleMovesFrom(game, row, col).map((to) => ({
+      from: { row, col },
+      to,
+      path: [{ row, col }, to],
+      captured: [],
+    }))
+  );
+}
+
+function isSameSquare(a, b) {
+  return a.row === b.row && a.col === b.col;
+}
+
+// Why the piece on `from` can't reach the empty square `to` by a simple
+// move or a capture hop
+function explainUnreachable(game, from, to) {
+  const { board } = game;
+  const piece = board[from.row][from.col];
+  const dr = to.row - from.row;
+  const dc = to.col - from.col;
+
+  if (Math.abs(dr) !== Math.abs(dc)) {
+    return new MoveError(
+      "ILLEGAL_LANDING",
+      "Pieces only move along the diagonals."
+    );
+  }
+
+  // Pieces standing between the two squares
+  const color = piece.toLowerCase();
+  let own = 0;
+  let opponents = 0;
+  for (let distance = 1; distance < Math.abs(dr); distance++) {
+    const between =
+      board[from.row + Math.sign(dr) * distance][
+        from.col + Math.sign(dc) * distance
+      ];
+    if (between === null) continue;
+    if (between.toLowerCase() === color) own++;
+    else opponents++;
+  }
+
+  if (own > 0 || opponents > 1) {
+    return new MoveError("BLOCKED_PATH", "Other pieces are in the way.");
+  }
+
+  const isBackward = Math.sign(dr) !== forwardOf(color);
+  if (
+    !isKingPiece(piece) &&
+    isBackward &&
+    (opponents === 0 || !getGameVariant(game).menCaptureBackward)
+  ) {
+    return new MoveError("BACKWARD_MOVE", "Men can't move backward.");
+  }
+
+  return new MoveError("ILLEGAL_LANDING", "That piece can't land there.");
+}
+
+// Returns null when the single hop from -> to is legal, otherwise the
+// MoveError explaining why.
+function validateMove(game, from, to, playerColor) {
+  const { board, currentPlayer, status, mustContinueFrom } = game;
+
+  if (status === "finished") {
+    return new MoveError("GAME_OVER", "The game is already over.");
+  }
+  if (status !== "playing") {
+    return new MoveError("GAME_NOT_PLAYING", "The game has not started yet.");
+  }
+  if (currentPlayer !== playerColor) {
+    return new MoveError("NOT_YOUR_TURN", "It is your opponent's turn.");
+  }
+
+  if (!isBoardSquare(board, from) || !board[from.row][from.col]) {
+    return new MoveError("NO_PIECE", "There is no piece on that square.");
+  }
+  if (board[from.row][from.col].toLowerCase() !== playerColor) {
+    return new MoveError("NOT_YOUR_PIECE", "That piece isn't yours.");
+  }
+
+  // If we are in the middle of a capture chain, you must move the same piece
+  if (mustContinueFrom && !isSameSquare(mustContinueFrom, from)) {
+    return new MoveError(
+      "MUST_CONTINUE_CHAIN",
+      "Keep capturing with the piece that just captured.",
+      { from: mustContinueFrom }
+    );
+  }
+
+  if (!isBoardSquare(board, to) || isSameSquare(from, to)) {
+    return new MoveError("ILLEGAL_LANDING", "That piece can't land there.");
+  }
+  if (board[to.row][to.col] !== null) {
+    return new MoveError(
+      "DESTINATION_OCCUPIED",
+      "There is already a piece on that square."
+    );
+  }
+
+  const isCapture = getCaptureHops(game, from.row, from.col).some((hop) =>
+    isSameSquare(hop.to, to)
+  );
+
+  if (!isCapture) {
+    const isSimpleMove = getSimpleMovesFrom(game, from.row, from.col).some(
+      (target) => isSameSquare(target, to)
+    );
+    if (!isSimpleMove) return explainUnreachable(game, from, to);
+
+    // MANDATORY CAPTURE RULE: If player has any capture available, they MUST capture
+    if (playerHasAnyCapture(game, playerColor)) {
+      return new MoveError(
+        "MUST_CAPTURE",
+        "You must capture when a capture is available!"
+      );
+    }
+    return null;
+  }
+
+  // With the maximum-capture rule the hop has to start a longest sequence
+  if (getGameVariant(game).maximumCapture) {
+    const longest = getLegalMoves(game);
+    const startsLongest = longest.some(
+      (move) => isSameSquare(move.from, from) && isSameSquare(move.path[1], to)
+    );
+    if (!startsLongest) {
+      return new MoveError(
+        "MUST_CAPTURE_MAXIMUM",
+        `You must capture the maximum number of pieces (${longest[0].captured.length})!`,
+        { paths: longest.map((move) => move.path) }
+      );
+    }
+  }
+
+  return null;
+}
+
+function isValidMove(game, from, to, playerColor) {
+  return validateMove(game, from, to, playerColor) === null;
+}
+
+// Moves the piece on an already validated hop. Mutates `game`.
+// Returns { captured, promoted } for the hop.
+function movePiece(game, from, to) {
+  const { board } = game;
+  const piece = board[from.row][from.col];
+  const color = piece.toLowerCase();
+
+  const capture = getCaptureHops(game, from.row, from.col).find((hop) =>
+    isSameSquare(hop.to, to)
+  );
+
+  const removesAtEnd = getGameVariant(game).capturedRemoval === "atEnd";
+
+  board[from.row][from.col] = null;
+  if (capture && removesAtEnd) {
+    game.pendingCaptures = [...(game.pendingCaptures || []), capture.captured];
+  } else if (capture) {
+    board[capture.captured.row][capture.captured.col] = null;
+  }
+  board[to.row][to.col] = piece;
+
+  const reachesPromotionRow =
+    !isKingPiece(piece) && to.row === promotionRowOf(board, color);
+  const crown = () => {
+    board[to.row][to.col] = piece.toUpperCase();
+  };
+
+  let continues = false;
+
+  if (!capture) {
+    if (reachesPromotionRow) crown();
+  } else if (!reachesPromotionRow) {
+    continues = hasCaptureFrom(game, to.row, to.col);
+  } else {
+    switch (getGameVariant(game).promotionDuringCapture) {
+      case "stop":
+        crown();
+        break;
+      case "atEnd":
+        // Keep capturing as a man; crown only when the chain ends here
+        continues = hasCaptureFrom(game, to.row, to.col);
+        if (!continues) crown();
+        break;
+      default:
+        crown();
+        continues = hasCaptureFrom(game, to.row, to.col);
+    }
+  }
+
+  // If we captured and can capture again from the new position,
+  // same player continues and must move this same piece.
+  if (continues) {
+    game.mustContinueFrom = { row: to.row, col: to.col };
+  } else {
+    // The chain is over: everything it took leaves the board now
+    for (const square of game.pendingCaptures || []) {
+      board[square.row][square.col] = null;
+    }
+    game.pendingCaptures = [];
+    game.mustContinueFrom = null;
+    game.currentPlayer = game.currentPlayer === "w" ? "b" : "w";
+  }
+
+  return {
+    captured: capture ? capture.captured : null,
+    promoted: board[to.row][to.col] !== piece,
+    manMoved: !isKingPiece(piece),
+  };
+}
+
+// Adds a hop to the move history. Hops continuing a capture chain extend the
+// turn's entry instead of starting a new one. Mutates `game`.
+function recordHop(game, from, to, hop, playerColor, continuesChain) {
+  const { history } = game;
+  const last = history[history.length - 1];
+
+  if (continuesChain && last) {
+    history[history.length - 1] = {
+      ...last,
+      to,
+      path: [...last.path, to],
+      captured: hop.captured ? [...last.captured, hop.captured] : last.captured,
+      promoted: last.promoted || hop.promoted,
+    };
+    return;
+  }
+
+  history.push({
+    moveNumber: history.length + 1,
+    player: playerColor,
+    from,
+    to,
+    path: [from, to],
+    captured: hop.captured ? [hop.captured] : [],
+    promoted: hop.promoted,
+    timestamp: Date.now(),
+  });
+}
+
+// Key for repetition counting: the board plus the side to move
+function positionKey(game) {
+  const rows = game.board.map((row) => row.map((p) => p || ".").join(""));
+  return `${game.currentPlayer}:${rows.join("/")}`;
+}
+
+function countPosition(game) {
+  const key = positionKey(game);
+  game.positionCounts[key] = (game.positionCounts[key] || 0) + 1;
+}
+
+// Ends the game if the side to move has no pieces left or cannot move, or
+// as a draw on threefold repetition or the no-progress rule.
+// Mutates `game`.
+function finishIfGameOver(game) {
+  if (game.status !== "playing" || game.mustContinueFrom) return;
+
+  const toMove = game.currentPlayer;
+
+  let endReason = null;
+  if (getAllPlayerPieces(game.board, toMove).length === 0) {
+    endReason = "noPieces";
+  } else if (!playerHasAnyMove(game, toMove)) {
+    endReason = "noMoves";
+  }
+
+  if (endReason) {
+    game.status = "finished";
+    game.winner = toMove === "w" ? "b" : "w";
+    game.endReason = endReason;
+    return;
+  }
+
+  if (game.positionCounts[positionKey(game)] >= 3) {
+    endReason = "threefoldRepetition";
+  } else if (game.noProgressPlies >= getGameVariant(game).drawMoveLimit * 2) {
+    endReason = "noProgress";
+  }
+
+  if (!endReason) return;
+
+  game.status = "finished";
+  game.winner = null;
+  game.endReason = endReason;
+}
+
+// Applies `move` for `playerColor`. A move is either a single hop
+// ({ from, to }) or a whole turn given as a path ({ path: [from, sq1, ...] }).
+// A path is applied atomically and must finish any capture chain it starts.
+// Returns { game } with the resulting state, or { error } with a MoveError.
+function applyMove(game, move, playerColor) {
+  const path = move.path || [move.from, move.to];
+
+  if (!Array.isArray(path) || path.length < 2) {
+    return {
+      error: new MoveError(
+        "INVALID_PATH",
+        "A move path needs a starting square and at least one more square."
+      ),
+    };
+  }
+
+  const next = cloneGame(game);
+  next.noProgressPlies = next.noProgressPlies || 0;
+
+  // Games set up from a position start counting at their first move
+  if (!next.mustContinueFrom && Object.keys(next.positionCounts).length === 0) {
+    countPosition(next);
+  }
+
+  for (let i = 1; i < path.length; i++) {
+    // Every hop after the first has to continue the same capture chain
+    if (i > 1 && !next.mustContinueFrom) {
+      return {
+        error: new MoveError(
+          "INVALID_PATH",
+          "The move ends before the last square of the path."
+        ),
+      };
+    }
+
+    const error = validateMove(next, path[i - 1], path[i], playerColor);
+    if (error) return { error };
+
+    const continuesChain = Boolean(next.mustContinueFrom);
+    const hop = movePiece(next, path[i - 1], path[i]);
+    recordHop(next, path[i - 1], path[i], hop, playerColor, continuesChain);
+
+    // Captures and man moves can't be undone, so earlier positions can't
+    // come back; anything else is a single king move
+    if (hop.captured || hop.manMoved) {
+      next.noProgressPlies = 0;
+      next.positionCounts = {};
+    } else {
+      next.noProgressPlies++;
+    }
+    if (!next.mustContinueFrom) countPosition(next);
+  }
+
+  if (move.path && next.mustContinueFrom) {
+    return {
+      error: new MoveError(
+        "INCOMPLETE_CHAIN",
+        "The capture chain must be completed in the submitted path."
+      ),
+    };
+  }
+
+  finishIfGameOver(next);
+
+  return { game: next };
+}
+
+module.exports = {
+  MoveError,
+  createInitialBoard,
+  createNewGame,
+  getGameVariant,
+  hasCaptureFrom,
+  hasSimpleMoveFrom,
+  getAllPlayerPieces,
+  playerHasAnyCapture,
+  playerHasAnyMove,
+  validateMove,
+  isValidMove,
+  getLegalMoves,
+  applyMove,
+};
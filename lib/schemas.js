@@ -0,0 +1,113 @@
+// ---------- Socket event schemas ----------
+//
+// What each inbound Socket.IO event may carry. The server checks every
+// payload against these before a handler sees it; whether a variant, time
+// control or position actually makes sense is still up to the handlers.
+
+const {
+  optional,
+  string,
+  boolean,
+  number,
+  array,
+  object,
+  anyOf,
+} = require("./validation");
+const { MAX_DURATION_MS } = require("./clock");
+
+const roomId = string({ minLength: 1, maxLength: 64, pattern: /^[\w-]+$/ });
+const name = optional(string({ maxLength: 40 }));
+const variant = optional(string({ maxLength: 40 }));
+const token = optional(string({ maxLength: 128 }));
+const flag = optional(boolean());
+
+// Coordinates only need to be plausible here; the rules check the board
+const coordinate = number({ integer: true, min: 0, max: 31 });
+const square = object({ row: coordinate, col: coordinate });
+const path = array(square, { minLength: 2, maxLength: 64 });
+
+const duration = optional(number({ min: 0, max: MAX_DURATION_MS }));
+const timeControl = optional(
+  anyOf(
+    string({ maxLength: 20 }),
+    object({ initialMs: duration, incrementMs: duration, perMoveMs: duration })
+  )
+);
+
+const fen = optional(string({ maxLength: 1000 }));
+
+// Events that only name a room
+const inRoom = object({ roomId });
+
+// Answers to a request from the opponent
+const response = object({ roomId, accepted: boolean() });
+
+const newRoomFields = {
+  name,
+  variant,
+  fen,
+  vsBot: flag,
+  botLevel: optional(string({ maxLength: 20 })),
+  timeControl,
+  isPrivate: flag,
+  rated: flag,
+};
+
+const EVENT_SCHEMAS = {
+  joinRoom: object({ roomId, token, spectate: flag, ...newRoomFields }),
+  createRoom: object(newRoomFields),
+  joinAnyRoom: object({ name, variant, timeControl, rated: flag }),
+  findMatch: object({ name, variant, timeControl, rated: flag }),
+  cancelMatch: optional(object({})),
+  joinLobby: optional(object({})),
+  leaveLobby: optional(object({})),
+  makeMove: object(
+    {
+      roomId,
+      from: optional(square),
+      to: optional(square),
+      path: optional(path),
+    },
+    {
+      check: (value, at) =>
+        value.path || (value.from && value.to)
+          ? null
+          : `${at} needs either a path or both from and to.`,
+    }
+  ),
+  legalMoves: inRoom,
+  getHistory: inRoom,
+  exportPdn: inRoom,
+  importPdn: object({ roomId, pdn: string({ maxLength: 200000 }) }),
+  getPosition: inRoom,
+  resetGame: object({ roomId, fen }),
+  // Older clients still send the requester's id; it is not used
+  resetResponse: object({
+    roomId,
+    accepted: boolean(),
+    requesterId: optional(string({ maxLength: 128 })),
+  }),
+  requestUndo: inRoom,
+  undoResponse: response,
+  resign: inRoom,
+  offerDraw: inRoom,
+  respondDraw: response,
+  // Length is checked by the chat rules, which say so to the sender
+  chatMessage: object({ roomId, text: string({ maxLength: 10000 }) }),
+  muteOpponent: object({ roomId, muted: boolean() }),
+  setSpectatorsAllowed: object({ roomId, allowed: boolean() }),
+};
+
+// Events answered through an acknowledgement callback
+const ACK_EVENTS = new Set([
+  "legalMoves",
+  "getHistory",
+  "exportPdn",
+  "importPdn",
+  "getPosition",
+]);
+
+module.exports = {
+  EVENT_SCHEMAS,
+  ACK_EVENTS,
+};
@@ -0,0 +1,227 @@
+// ---------- Storage ----------
+//
+// Keeps rooms across restarts and finished games for later. The server only
+// talks to the interface below, so another backend (a database, say) can be
+// dropped in by implementing the same methods:
+//
+//   saveRoom(roomId, room)    - store a snapshot of a room in play
+//   deleteRoom(roomId)
+//   loadRooms()               - every stored room: [{ roomId, room }]
+//   archiveGame(record)       - keep a finished game; record.id is its key
+//   getGame(id)               - an archived game, or null
+//   listGames({ limit })      - archived games, newest first
+//   createUser(user)          - add an account; false if user.id is taken
+//   getUser(id)               - an account, or null
+//   saveUser(user)            - update an existing account
+//
+// All methods return promises. Snapshots are plain JSON-able objects.
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data");
+
+// Room ids and game ids come from clients; keep them inside our directories
+function fileNameFor(id) {
+  return `${encodeURIComponent(id)}.json`;
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Writes to a temporary file first so a crash never leaves half a file
+async function writeJson(file, value) {
+  const temp = `${file}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(value));
+  await fs.rename(temp, file);
+}
+
+// Name of a game's entry in the games index: the finish time, padded so
+// names sort by it, then the game's file name
+function indexEntryFor(record) {
+  const finishedAt = String(record.finishedAt || 0).padStart(15, "0");
+  return `${finishedAt}-${fileNameFor(record.id)}`;
+}
+
+// One JSON file per room in <dir>/rooms, per game in <dir>/games and per
+// account in <dir>/users. <dir>/games-index holds an empty file per game,
+// named by indexEntryFor, so listing the newest games reads only those.
+function createFileStorage(dir = DEFAULT_DATA_DIR) {
+  const roomsDir = path.join(dir, "rooms");
+  const gamesDir = path.join(dir, "games");
+  const indexDir = path.join(dir, "games-index");
+  const usersDir = path.join(dir, "users");
+  const ready = Promise.all([
+    fs.mkdir(roomsDir, { recursive: true }),
+    fs.mkdir(gamesDir, { recursive: true }),
+    fs.mkdir(indexDir, { recursive: true }),
+    fs.mkdir(usersDir, { recursive: true }),
+  ]);
+
+  // Games archived before the index existed are added to it once
+  let indexed = null;
+  function indexOldGames() {
+    if (indexed) return indexed;
+    indexed = (async () => {
+      await ready;
+      const listed = new Set(
+        (await fs.readdir(indexDir)).map((name) => name.slice(16))
+      );
+      for (const name of await fs.readdir(gamesDir)) {
+        if (!name.endsWith(".json") || listed.has(name)) continue;
+        const record = await readJson(path.join(gamesDir, name));
+        if (record)
+          await fs.writeFile(path.join(indexDir, indexEntryFor(record)), "");
+      }
+    })();
+    return indexed;
+  }
+
+  // roomId -> last pending write, so writes to one file happen in order
+  const queues = new Map();
+
+  function enqueue(roomId, task) {
+    const previous = queues.get(roomId) || ready;
+    const next = previous.catch(() => {}).then(task);
+    queues.set(roomId, next);
+
+    const forget = () => {
+      if (queues.get(roomId) === next) queues.delete(roomId);
+    };
+    next.then(forget, forget);
+    return next;
+  }
+
+  return {
+    saveRoom(roomId, room) {
+      // Snapshot now; the room keeps changing while the write waits
+      const snapshot = { roomId, room: JSON.parse(JSON.stringify(room)) };
+      const file = path.join(roomsDir, fileNameFor(roomId));
+      return enqueue(roomId, () => writeJson(file, snapshot));
+    },
+
+    deleteRoom(roomId) {
+      const file = path.join(roomsDir, fileNameFor(roomId));
+      return enqueue(roomId, () => fs.rm(file, { force: true }));
+    },
+
+    async loadRooms() {
+      await ready;
+      const names = await fs.readdir(roomsDir);
+      const stored = [];
+      for (const name of names.filter((n) => n.endsWith(".json"))) {
+        const entry = await readJson(path.join(roomsDir, name));
+        if (entry) stored.push(entry);
+      }
+      return stored;
+    },
+
+    async archiveGame(record) {
+      await ready;
+      await writeJson(path.join(gamesDir, fileNameFor(record.id)), record);
+      await fs.writeFile(path.join(indexDir, indexEntryFor(record)), "");
+    },
+
+    async getGame(id) {
+      await ready;
+      return readJson(path.join(gamesDir, fileNameFor(id)));
+    },
+
+    async listGames({ limit = 50 } = {}) {
+      await indexOldGames();
+      const newest = (await fs.readdir(indexDir)).sort().reverse();
+
+      const games = [];
+      for (const entry of newest.slice(0, limit)) {
+        const record = await readJson(path.join(gamesDir, entry.slice(16)));
+        if (record) games.push(record);
+      }
+      return games;
+    },
+
+    async createUser(user) {
+      await ready;
+      // "wx" fails if the file exists, so two sign-ups can't both win
+      const file = path.join(usersDir, fileNameFor(user.id));
+      try {
+        await fs.writeFile(file, JSON.stringify(user), { flag: "wx" });
+        return true;
+      } catch (err) {
+        if (err.code === "EEXIST") return false;
+        throw err;
+      }
+    },
+
+    async getUser(id) {
+      await ready;
+      return readJson(path.join(usersDir, fileNameFor(id)));
+    },
+
+    async saveUser(user) {
+      await ready;
+      await writeJson(path.join(usersDir, fileNameFor(user.id)), user);
+    },
+  };
+}
+
+// Keeps nothing across restarts; for development and tools
+function createMemoryStorage() {
+  const rooms = new Map();
+  const games = new Map();
+  const users = new Map();
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  return {
+    async saveRoom(roomId, room) {
+      rooms.set(roomId, copy(room));
+    },
+    async deleteRoom(roomId) {
+      rooms.delete(roomId);
+    },
+    async loadRooms() {
+      return [...rooms].map(([roomId, room]) => ({ roomId, room: copy(room) }));
+    },
+    async archiveGame(record) {
+      games.set(record.id, copy(record));
+    },
+    async getGame(id) {
+      return games.has(id) ? copy(games.get(id)) : null;
+    },
+    async listGames({ limit = 50 } = {}) {
+      return [...games.values()]
+        .sort((a, b) => b.finishedAt - a.finishedAt)
+        .slice(0, limit)
+        .map(copy);
+    },
+    async createUser(user) {
+      if (users.has(user.id)) return false;
+      users.set(user.id, copy(user));
+      return true;
+    },
+    async getUser(id) {
+      return users.has(id) ? copy(users.get(id)) : null;
+    },
+    async saveUser(user) {
+      users.set(user.id, copy(user));
+    },
+  };
+}
+
+// Picks the backend named by `driver`: "file" (default) or "memory"
+function createStorage({ driver = "file", dataDir } = {}) {
+  if (driver === "memory") return createMemoryStorage();
+  if (driver === "file") return createFileStorage(dataDir);
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = {
+  createStorage,
+  createFileStorage,
+  createMemoryStorage,
+};
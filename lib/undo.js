@@ -0,0 +1,35 @@
+// ---------- Takebacks ----------
+//
+// History entries don't say whether a captured piece was a king, so a game
+// can't be stepped backwards. Instead it is replayed from its starting
+// position through the part of the history that is kept.
+
+const { createNewGame, applyMove } = require("./rules");
+const { createGameFromFen } = require("./fen");
+
+// The game as it was after its first `historyLength` turns. Only meant for
+// games in progress; `game` itself is not changed.
+function rewindGame(game, historyLength) {
+  let replay = game.startFen
+    ? createGameFromFen(game.startFen, game.variant).game
+    : createNewGame(game.variant);
+  replay.status = "playing";
+
+  const kept = game.history.slice(0, historyLength);
+  for (const entry of kept) {
+    replay = applyMove(replay, { path: entry.path }, entry.player).game;
+  }
+
+  // Keep the original timestamps rather than the replay's
+  return { ...replay, history: kept };
+}
+
+// Index in the history of `color`'s last turn, or -1 if it hasn't moved
+function findLastTurnOf(game, color) {
+  return game.history.findLastIndex((entry) => entry.player === color);
+}
+
+module.exports = {
+  rewindGame,
+  findLastTurnOf,
+};
@@ -0,0 +1,106 @@
+// ---------- Payload validation ----------
+//
+// Tiny schema helpers for what clients send. A schema is a function
+// (value, path) -> error message, or null when the value is fine. Object
+// schemas are strict: unknown keys are rejected too.
+
+function optional(schema) {
+  return (value, path) => (value === undefined ? null : schema(value, path));
+}
+
+function required(schema) {
+  return (value, path) =>
+    value === undefined ? `${path} is required.` : schema(value, path);
+}
+
+function string({ minLength = 0, maxLength = Infinity, pattern = null } = {}) {
+  return required((value, path) => {
+    if (typeof value !== "string") return `${path} must be a string.`;
+    if (value.length < minLength) {
+      return `${path} must be at least ${minLength} characters long.`;
+    }
+    if (value.length > maxLength) {
+      return `${path} must be at most ${maxLength} characters long.`;
+    }
+    if (pattern && !pattern.test(value)) return `${path} is not valid.`;
+    return null;
+  });
+}
+
+function boolean() {
+  return required((value, path) =>
+    typeof value === "boolean" ? null : `${path} must be true or false.`
+  );
+}
+
+function number({ min = -Infinity, max = Infinity, integer = false } = {}) {
+  return required((value, path) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return `${path} must be a number.`;
+    }
+    if (integer && !Number.isInteger(value)) {
+      return `${path} must be a whole number.`;
+    }
+    if (value < min || value > max) {
+      return `${path} must be between ${min} and ${max}.`;
+    }
+    return null;
+  });
+}
+
+function array(item, { minLength = 0, maxLength = Infinity } = {}) {
+  return required((value, path) => {
+    if (!Array.isArray(value)) return `${path} must be a list.`;
+    if (value.length < minLength || value.length > maxLength) {
+      return `${path} must have ${minLength} to ${maxLength} items.`;
+    }
+    for (const [index, element] of value.entries()) {
+      const error = item(element, `${path}[${index}]`);
+      if (error) return error;
+    }
+    return null;
+  });
+}
+
+// `check` runs once every field is fine, for rules across fields
+function object(shape, { check = null } = {}) {
+  return required((value, path) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return `${path} must be an object.`;
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!Object.hasOwn(shape, key)) return `${path}.${key} is not expected.`;
+    }
+    for (const [key, schema] of Object.entries(shape)) {
+      const error = schema(value[key], `${path}.${key}`);
+      if (error) return error;
+    }
+
+    return check ? check(value, path) : null;
+  });
+}
+
+// Passes if any of `schemas` does
+function anyOf(...schemas) {
+  return (value, path) => {
+    const errors = schemas.map((schema) => schema(value, path));
+    return errors.includes(null) ? null : errors[0];
+  };
+}
+
+// Error message for `value`, or null when it matches `schema`
+function validate(schema, value) {
+  return schema(value, "payload");
+}
+
+module.exports = {
+  optional,
+  string,
+  boolean,
+  number,
+  array,
+  object,
+  anyOf,
+  validate,
+};
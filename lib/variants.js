@@ -0,0 +1,108 @@
+// ---------- Rule variants ----------
+//
+// Every board- and rule-dependent choice the engine makes is read from one of
+// these definitions. Games store the variant id in `game.variant`.
+//
+// firstPlayer is the side that moves first from the opening position. White
+// ("w") always starts at the bottom, so in English checkers, where Black
+// moves first, black's men on squares 1-12 make the first move.
+//
+// promotionDuringCapture decides what happens when a man reaches the far row
+// in the middle of a capture chain:
+//   'continue' - it is crowned at once and keeps capturing as a king
+//   'stop'     - it is crowned and the turn ends there
+//   'atEnd'    - it keeps capturing as a man and is only crowned if the
+//                chain finishes on the far row
+//
+// capturedRemoval decides when pieces taken in a capture chain leave the board:
+//   'immediate' - after each hop, so later hops may cross their squares
+//   'atEnd'     - once the chain ends; until then they block the capturing
+//                 piece and can't be taken twice (the "Turkish strike" rule)
+//
+// drawMoveLimit is the no-progress rule: the game is drawn once each side has
+// made this many moves in a row without capturing or moving a man.
+
+const VARIANTS = {
+  "sri-lankan": {
+    id: "sri-lankan",
+    name: "Sri Lankan Dam",
+    boardSize: 8,
+    startingRows: 3,
+    firstPlayer: "w",
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: false,
+    promotionDuringCapture: "continue",
+    capturedRemoval: "immediate",
+    drawMoveLimit: 25,
+  },
+  international: {
+    id: "international",
+    name: "International draughts (10x10)",
+    boardSize: 10,
+    startingRows: 4,
+    firstPlayer: "w",
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: true,
+    promotionDuringCapture: "atEnd",
+    capturedRemoval: "atEnd",
+    drawMoveLimit: 25,
+  },
+  english: {
+    id: "english",
+    name: "English checkers",
+    boardSize: 8,
+    startingRows: 3,
+    firstPlayer: "b",
+    menCaptureBackward: false,
+    flyingKings: false,
+    maximumCapture: false,
+    promotionDuringCapture: "stop",
+    capturedRemoval: "immediate",
+    drawMoveLimit: 40,
+  },
+  russian: {
+    id: "russian",
+    name: "Russian draughts",
+    boardSize: 8,
+    startingRows: 3,
+    firstPlayer: "w",
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: false,
+    promotionDuringCapture: "continue",
+    capturedRemoval: "atEnd",
+    drawMoveLimit: 15,
+  },
+  brazilian: {
+    id: "brazilian",
+    name: "Brazilian draughts",
+    boardSize: 8,
+    startingRows: 3,
+    firstPlayer: "w",
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: true,
+    promotionDuringCapture: "atEnd",
+    capturedRemoval: "atEnd",
+    drawMoveLimit: 20,
+  },
+};
+
+const DEFAULT_VARIANT = "sri-lankan";
+
+// Returns the variant definition for `id`, or null if there is none
+function getVariant(id) {
+  return Object.hasOwn(VARIANTS, id) ? VARIANTS[id] : null;
+}
+
+function listVariants() {
+  return Object.values(VARIANTS);
+}
+
+module.exports = {
+  DEFAULT_VARIANT,
+  getVariant,
+  listVariants,
+};
@@ -1,11 +1,51 @@
 require("dotenv").config();
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
 const { Server } = require("socket.io");
 const cors = require("cors");
+const { createNewGame, applyMove, getLegalMoves } = require("./lib/rules");
+const { DEFAULT_VARIANT, getVariant } = require("./lib/variants");
+const { exportPdn, importPdn } = require("./lib/pdn");
+const { toFen, createGameFromFen } = require("./lib/fen");
+const { DEFAULT_LEVEL, getLevel, chooseMoveInWorker } = require("./lib/bot");
+const { rewindGame, findLastTurnOf } = require("./lib/undo");
+const { createStorage } = require("./lib/storage");
+const { findPairs } = require("./lib/matchmaking");
+const { DEFAULT_RATING, rateGame } = require("./lib/rating");
+const {
+  MAX_MESSAGE_LENGTH,
+  cleanMessage,
+  createRateLimit,
+  allowMessage,
+  appendMessage,
+} = require("./lib/chat");
+const {
+  isUserId,
+  userIdFor,
+  signToken,
+  verifyToken,
+  publicUser,
+  registerUser,
+  authenticate,
+} = require("./lib/accounts");
+const {
+  parseTimeControl,
+  createClock,
+  getRemaining,
+  startClock,
+  stopClock,
+  switchClock,
+  getFlaggedColor,
+  serializeClock,
+  isSameTimeControl,
+} = require("./lib/clock");
+const { validate } = require("./lib/validation");
+const { EVENT_SCHEMAS, ACK_EVENTS } = require("./lib/schemas");
 
 const app = express();
 app.use(cors());
+app.use(express.json());
 
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -17,590 +57,1715 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 4000;
 
-const rooms = {}; // roomId -> { game, players }
+// Where rooms and finished games are kept: "file" (in DATA_DIR) or "memory"
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER,
+  dataDir: process.env.DATA_DIR,
+});
 
-// ---------- Game logic (simple dam/checkers) ----------
+// Signs login tokens. Without a fixed secret, a restart logs everybody out.
+const AUTH_SECRET =
+  process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.AUTH_SECRET) {
+  console.warn("AUTH_SECRET is not set; login tokens end with this process.");
+}
 
-function createInitialBoard() {
-  const size = 8;
-  const board = Array.from({ length: size }, () => Array(size).fill(null));
+// How long a disconnected player's seat stays reserved for them
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
 
-  // Black at top (rows 0,1,2)
-  for (let row = 0; row < 3; row++) {
-    for (let col = 0; col < size; col++) {
-      if ((row + col) % 2 === 1) {
-        board[row][col] = "b"; // black piece
-      }
-    }
+// How long a room nobody has sat down in (e.g. an imported game) is kept
+const EMPTY_ROOM_TTL_MS =
+  Number(process.env.EMPTY_ROOM_TTL_MS) || 10 * 60 * 1000;
+
+// Pause before the computer opponent answers, so its moves can be followed
+const BOT_MOVE_DELAY_MS = Number(process.env.BOT_MOVE_DELAY_MS) || 600;
+
+// Key of the computer opponent's seat in room.players
+const BOT_ID = "bot";
+
+// Draw offers each player may make per game
+const MAX_DRAW_OFFERS = 3;
+
+// How often waiting players are looked at again, so their rating range grows
+const MATCHMAKING_INTERVAL_MS = 1000;
+
+// No prototype, so ids like "__proto__" or "constructor" are just keys
+const rooms = Object.create(null); // roomId -> { game, players }
+const graceTimers = new Map(); // player token -> timeout of a reserved seat
+const botTimers = new Map(); // roomId -> timeout of the bot's next move
+const flagTimers = new Map(); // roomId -> timeout of the running clock
+const emptyRoomTimers = new Map(); // roomId -> timeout closing an empty room
+const matchQueue = new Map(); // player id -> matchmaking entry
+const playerSockets = new Map(); // player id -> number of open sockets
+let ratingUpdates = Promise.resolve(); // rating changes, one game at a time
+let matchmakingTimer = null;
+
+// ---------- Rooms ----------
+//
+// Seats are keyed by player id: "user:<name>" for accounts, so the same person
+// keeps their seat in any tab or device, or "guest:<socket id>" for guests.
+
+// The variant only matters when the room is created by this call
+function getRoom(roomId, variantId = DEFAULT_VARIANT) {
+  if (!rooms[roomId]) {
+    rooms[roomId] = {
+      game: createNewGame(variantId),
+      players: {}, // player id -> { name, color, token, connected }
+      spectators: {}, // socket.id -> { name }
+      allowSpectators: true,
+      clock: null, // set when the room is created with a time control
+      drawOffer: null, // { fromColor } while an offer is pending
+      drawOffers: createDrawOfferCounts(),
+      undoRequest: null, // { fromColor } while a takeback is pending
+      pendingReset: null, // { requesterId, fen } while a reset is asked for
+      isPrivate: false, // private rooms are left out of the lobby
+      rated: false, // rated games change ratings and can't be reset or undone
+      chat: [], // the latest chat messages, replayed to whoever joins
+    };
   }
+  return rooms[roomId];
+}
 
-  // White at bottom (rows 5,6,7)
-  for (let row = size - 3; row < size; row++) {
-    for (let col = 0; col < size; col++) {
-      if ((row + col) % 2 === 1) {
-        board[row][col] = "w"; // white piece
-      }
-    }
+function countPlayers(room) {
+  return Object.keys(room.players).length;
+}
+
+// Seats taken by people, i.e. not by the computer opponent
+function countHumans(room) {
+  return Object.values(room.players).filter((player) => !player.isBot).length;
+}
+
+function getPlayerColor(room, playerId) {
+  return room.players[playerId]?.color;
+}
+
+function getOpponentId(room, playerId) {
+  return Object.keys(room.players).find((id) => id !== playerId);
+}
+
+// Every socket of a player is in this Socket.IO room, so events sent to it
+// reach all of their tabs
+function playerChannel(playerId) {
+  return `player:${playerId}`;
+}
+
+function countSpectators(room) {
+  return Object.keys(room.spectators).length;
+}
+
+function emitSpectatorCount(roomId) {
+  io.to(roomId).emit("spectatorCount", {
+    count: countSpectators(rooms[roomId]),
+  });
+  notifyLobby(roomId);
+}
+
+// `fail` reports why the socket can't watch, as in the socket handlers
+function joinAsSpectator(socket, roomId, name, fail) {
+  const room = rooms[roomId];
+  if (!room) {
+    fail("ROOM_NOT_FOUND", "No such room.");
+    return;
+  }
+  if (!room.allowSpectators) {
+    fail("SPECTATORS_NOT_ALLOWED", "This room is closed to spectators.");
+    return;
   }
 
-  return board;
+  room.spectators[socket.id] = { name: name || "Spectator" };
+  socket.join(roomId);
+
+  socket.emit("joinedAsSpectator", {
+    roomId,
+    variant: getVariant(room.game.variant),
+    gameState: serializeGame(room),
+    players: serializePlayers(room),
+    spectatorCount: countSpectators(room),
+    chat: room.chat,
+  });
+
+  emitSpectatorCount(roomId);
+}
+
+function findPlayerIdByToken(room, token) {
+  return Object.keys(room.players).find(
+    (playerId) => room.players[playerId].token === token
+  );
 }
 
-function createNewGame() {
+function seatPlayer(room, playerId, name, color) {
+  room.players[playerId] = {
+    name: name || "Player",
+    color,
+    token: crypto.randomBytes(16).toString("hex"),
+    connected: true,
+  };
+  return room.players[playerId];
+}
+
+// Players as sent to clients: reconnect tokens stay private
+function serializePlayers(room) {
+  const players = {};
+  for (const [playerId, { name, color, connected, isBot }] of Object.entries(
+    room.players
+  )) {
+    players[playerId] = { name, color, connected, isBot: Boolean(isBot) };
+  }
+  return players;
+}
+
+// One line of the room list (lobby and REST API)
+function summarizeRoom(roomId, room) {
   return {
-    board: createInitialBoard(),
-    currentPlayer: "w", // 'w' | 'b'
-    status: "waiting", // 'waiting' | 'playing' | 'finished'
-    winner: null,
-    mustContinueFrom: null,
+    roomId,
+    variant: room.game.variant,
+    status: room.game.status,
+    playerCount: countPlayers(room),
+    spectatorCount: countSpectators(room),
+    allowSpectators: room.allowSpectators,
+    timeControl: room.clock ? room.clock.timeControl : null,
+    rated: room.rated,
+    players: serializePlayers(room),
   };
 }
 
-function hasCaptureFrom(game, row, col) {
-  const { board } = game;
-  const piece = board[row]?.[col];
-  if (!piece) return false;
-
-  const isKing = piece === piece.toUpperCase();
-
-  if (isKing) {
-    // King can capture at any distance along diagonals
-    return hasKingCaptureFrom(game, row, col);
-  } else {
-    // Regular piece can only capture adjacent (1 square away)
-    return hasRegularCaptureFrom(game, row, col);
-  }
-}
-
-function hasRegularCaptureFrom(game, row, col) {
-  const { board } = game;
-  const piece = board[row][col];
-
-  const directions = [
-    { dr: -1, dc: -1 },
-    { dr: -1, dc: 1 },
-    { dr: 1, dc: -1 },
-    { dr: 1, dc: 1 },
-  ];
-
-  for (const { dr, dc } of directions) {
-    const midR = row + dr;
-    const midC = col + dc;
-    const landR = row + 2 * dr;
-    const landC = col + 2 * dc;
-
-    if (
-      landR < 0 ||
-      landR >= 8 ||
-      landC < 0 ||
-      landC >= 8 ||
-      midR < 0 ||
-      midR >= 8 ||
-      midC < 0 ||
-      midC >= 8
-    ) {
-      continue;
-    }
+// Frees a seat for good; resets the game for whoever is left
+function removePlayer(roomId, playerId) {
+  const room = rooms[roomId];
+  if (!room?.players[playerId]) return;
+
+  // Walking out of a rated game loses it, so it still counts for ratings.
+  // Not coming back after a restart is not walking out.
+  const { color, restored } = room.players[playerId];
+  const playing = room.game.status === "playing" && countPlayers(room) === 2;
+  if (room.rated && playing && !restored) {
+    finishGame(roomId, room, color === "w" ? "b" : "w", "abandoned");
+  }
+
+  delete room.players[playerId];
+  io.to(roomId).emit("playerLeft", { playerId });
+
+  // A room left with only the computer opponent has nobody to play for
+  if (countHumans(room) === 0) {
+    clearTimeout(botTimers.get(roomId));
+    botTimers.delete(roomId);
+    clearFlagTimer(roomId);
+    closeRoom(roomId);
+    return;
+  }
+
+  replaceGame(roomId, room, createNewGame(room.game.variant));
+  io.to(roomId).emit("gameUpdate", serializeGame(room));
+  roomChanged(roomId);
+}
+
+// Closes `roomId` after EMPTY_ROOM_TTL_MS unless somebody has taken a seat by
+// then; rooms with spectators are kept while they watch
+function expireIfEmpty(roomId) {
+  clearTimeout(emptyRoomTimers.get(roomId));
+  emptyRoomTimers.set(
+    roomId,
+    setTimeout(() => {
+      emptyRoomTimers.delete(roomId);
+
+      const room = rooms[roomId];
+      if (!room || countPlayers(room) > 0) return;
+      if (countSpectators(room) > 0) {
+        expireIfEmpty(roomId);
+        return;
+      }
+
+      closeRoom(roomId);
+    }, EMPTY_ROOM_TTL_MS)
+  );
+}
+
+// Forgets `roomId`; only the lobby's own rooms are taken off its list
+function closeRoom(roomId) {
+  const { isPrivate } = rooms[roomId];
+  delete rooms[roomId];
+  persistRoom(roomId);
+  if (!isPrivate) io.to(LOBBY).emit("lobbyRoomRemoved", { roomId });
+}
 
-    const midPiece = board[midR][midC];
-    const landPiece = board[landR][landC];
+// Announces the end of the game and archives it, after updating ratings if
+// the game was rated. `ratings` in gameOver is null for unrated games.
+function concludeGame(roomId, room) {
+  // Nothing asked for during the game can be answered once it is over
+  room.drawOffer = null;
+  room.undoRequest = null;
+  room.pendingReset = null;
+
+  const record = createArchiveRecord(roomId, room);
+  const gameOver = {
+    winner: room.game.winner,
+    reason: room.game.endReason,
+    gameState: serializeGame(room),
+  };
 
-    if (!midPiece || landPiece !== null) continue;
-    if (midPiece.toLowerCase() === piece.toLowerCase()) continue;
+  const announce = (ratings) => {
+    io.to(roomId).emit("gameOver", { ...gameOver, ratings });
+    storage
+      .archiveGame({ ...record, ratings })
+      .catch((err) => console.error(`Could not archive room ${roomId}:`, err));
+  };
 
-    return true;
+  if (!room.rated) {
+    announce(null);
+    return;
   }
 
-  return false;
+  queueRatingUpdate(record).then(announce, (err) => {
+    console.error(`Could not rate the game in room ${roomId}:`, err);
+    announce(null);
+  });
 }
 
-function hasKingCaptureFrom(game, row, col) {
-  const { board } = game;
-  const piece = board[row][col];
+// Starts play once both seats are taken
+function startGameIfReady(roomId, room) {
+  if (countPlayers(room) !== 2 || room.game.status !== "waiting") return;
 
-  const directions = [
-    { dr: -1, dc: -1 },
-    { dr: -1, dc: 1 },
-    { dr: 1, dc: -1 },
-    { dr: 1, dc: 1 },
-  ];
+  room.game.status = "playing";
+  if (room.clock) {
+    startClock(room.clock, room.game.currentPlayer, Date.now());
+    scheduleFlagCheck(roomId);
+  }
+}
 
-  for (const { dr, dc } of directions) {
-    let distance = 1;
-    let foundEnemy = false;
+// Per color: how many draws were offered and how many turns the player had
+// played at the last offer, so they have to move before offering again
+function createDrawOfferCounts() {
+  return {
+    w: { count: 0, atMove: -1 },
+    b: { count: 0, atMove: -1 },
+  };
+}
 
-    // Scan along the diagonal
-    while (true) {
-      const checkR = row + dr * distance;
-      const checkC = col + dc * distance;
+function countTurnsOf(game, color) {
+  return game.history.filter((entry) => entry.player === color).length;
+}
 
-      if (checkR < 0 || checkR >= 8 || checkC < 0 || checkC >= 8) {
-        break;
-      }
+// Installs a brand-new game in the room with fresh clocks and draw offers
+function replaceGame(roomId, room, game) {
+  room.game = game;
+  room.drawOffer = null;
+  room.drawOffers = createDrawOfferCounts();
+  room.undoRequest = null;
+  resetClock(roomId, room);
+}
 
-      const checkPiece = board[checkR][checkC];
+// Stores the game after a move and tells the room, then lets the computer
+// opponent answer if it is its turn
+function commitGame(roomId, room, game) {
+  const previousPlayer = room.game.currentPlayer;
+  room.game = game;
 
-      if (checkPiece === null) {
-        // Empty square
-        if (foundEnemy) {
-          // We found an enemy and now found an empty square beyond it
-          // This is a valid capture opportunity
-          return true;
-        }
-      } else if (checkPiece.toLowerCase() === piece.toLowerCase()) {
-        // Our own piece blocks the path
-        break;
-      } else {
-        // Enemy piece
-        if (foundEnemy) {
-          // Can't jump over two pieces
-          break;
-        }
-        foundEnemy = true;
-        // Continue to see if there's an empty square beyond
-      }
+  // Moving withdraws your own pending draw offer
+  if (room.drawOffer?.fromColor === previousPlayer) {
+    io.to(roomId).emit("drawOfferExpired", { fromPlayer: previousPlayer });
+    room.drawOffer = null;
+  }
+
+  // A takeback is asked for a position; once play goes on it no longer fits
+  if (room.undoRequest) {
+    io.to(roomId).emit("undoRequestExpired", {
+      fromPlayer: room.undoRequest.fromColor,
+    });
+    room.undoRequest = null;
+  }
 
-      distance++;
+  // Clocks only switch once the turn passes, not between hops of a chain
+  if (room.clock) {
+    const now = Date.now();
+    if (game.status === "finished") {
+      stopClock(room.clock, now);
+    } else if (game.currentPlayer !== previousPlayer) {
+      switchClock(room.clock, game.currentPlayer, now);
     }
+    scheduleFlagCheck(roomId);
+  }
+
+  io.to(roomId).emit("gameUpdate", serializeGame(room));
+  if (room.game.status === "finished") {
+    concludeGame(roomId, room);
   }
 
-  return false;
+  roomChanged(roomId);
+  scheduleBotMove(roomId);
 }
 
-function getRoom(roomId) {
-  if (!rooms[roomId]) {
-    rooms[roomId] = {
-      game: createNewGame(),
-      players: {}, // socket.id -> { name, color }
-    };
+// Ends the game for a reason the rules engine doesn't decide (e.g. time)
+function finishGame(roomId, room, winner, endReason) {
+  room.game = {
+    ...room.game,
+    status: "finished",
+    winner,
+    endReason,
+    mustContinueFrom: null,
+  };
+
+  if (room.clock) stopClock(room.clock, Date.now());
+  clearFlagTimer(roomId);
+
+  io.to(roomId).emit("gameUpdate", serializeGame(room));
+  concludeGame(roomId, room);
+  roomChanged(roomId);
+}
+
+// ---------- Clocks ----------
+
+// A fresh, stopped clock for a new game with the room's time control
+function resetClock(roomId, room) {
+  clearFlagTimer(roomId);
+  if (room.clock) room.clock = createClock(room.clock.timeControl);
+}
+
+function clearFlagTimer(roomId) {
+  clearTimeout(flagTimers.get(roomId));
+  flagTimers.delete(roomId);
+}
+
+// Ends the game on time if the running clock has run out.
+// Returns true when it did.
+function checkFlagFall(roomId) {
+  const room = rooms[roomId];
+  if (!room?.clock || room.game.status !== "playing") return false;
+
+  const flagged = getFlaggedColor(room.clock, Date.now());
+  if (!flagged) return false;
+
+  finishGame(roomId, room, flagged === "w" ? "b" : "w", "timeout");
+  return true;
+}
+
+// Longest delay setTimeout takes; longer ones fire at once
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Wakes up when the running clock would hit zero
+function scheduleFlagCheck(roomId) {
+  clearFlagTimer(roomId);
+
+  const room = rooms[roomId];
+  if (!room?.clock?.active || room.game.status !== "playing") return;
+
+  const remaining = getRemaining(room.clock, room.clock.active, Date.now());
+  flagTimers.set(
+    roomId,
+    setTimeout(() => {
+      flagTimers.delete(roomId);
+      if (!checkFlagFall(roomId)) scheduleFlagCheck(roomId);
+    }, Math.min(remaining + 1, MAX_TIMEOUT_MS))
+  );
+}
+
+function addBotPlayer(room, color, level) {
+  room.players[BOT_ID] = {
+    name: `Computer (${level})`,
+    color,
+    token: null,
+    connected: true,
+    isBot: true,
+    level,
+  };
+}
+
+function scheduleBotMove(roomId) {
+  const room = rooms[roomId];
+  const bot = room?.players[BOT_ID];
+  if (!bot || botTimers.has(roomId)) return;
+  if (room.game.status !== "playing" || room.game.currentPlayer !== bot.color) {
+    return;
   }
-  return rooms[roomId];
+
+  botTimers.set(
+    roomId,
+    setTimeout(() => {
+      botTimers.delete(roomId);
+
+      // The room may have been reset or closed in the meantime
+      const current = rooms[roomId];
+      if (current !== room || room.game.currentPlayer !== bot.color) return;
+
+      const { game } = room;
+      chooseMoveInWorker(game, bot.level)
+        .then((move) => {
+          // Moves, takebacks or a reset while it was thinking win
+          if (!move || rooms[roomId] !== room || room.game !== game) return;
+
+          const result = applyMove(game, { path: move.path }, bot.color);
+          if (!result.error) commitGame(roomId, room, result.game);
+        })
+        .catch((err) => {
+          console.error(`Bot move failed in room ${roomId}:`, err);
+        });
+    }, BOT_MOVE_DELAY_MS)
+  );
 }
 
-function countPlayers(room) {
-  return Object.keys(room.players).length;
+// Starts the room over, from `fen` if given
+function resetRoomGame(roomId, room, fen) {
+  replaceGame(
+    roomId,
+    room,
+    fen
+      ? createGameFromFen(fen, room.game.variant).game
+      : createNewGame(room.game.variant)
+  );
+  startGameIfReady(roomId, room);
+
+  io.to(roomId).emit("gameUpdate", serializeGame(room));
+  io.to(roomId).emit("resetConfirmed");
+  roomChanged(roomId);
+  scheduleBotMove(roomId);
 }
 
-function getPlayerColor(room, socketId) {
-  return room.players[socketId]?.color;
+// Takes back `color`'s last turn, and the reply to it if there was one
+function undoRoomGame(roomId, room, color) {
+  const game = rewindGame(room.game, findLastTurnOf(room.game, color));
+  room.game = game;
+  room.drawOffer = null;
+  room.undoRequest = null;
+
+  io.to(roomId).emit("gameUpdate", serializeGame(room));
+  io.to(roomId).emit("undoConfirmed", { fromPlayer: color });
+  roomChanged(roomId);
 }
 
-function getAllPlayerPieces(board, color) {
-  const pieces = [];
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
-      const piece = board[row][col];
-      if (piece && piece.toLowerCase() === color) {
-        pieces.push({ row, col, piece });
+// Frees a disconnected player's seat unless they are back within the grace
+// period
+function reserveSeat(roomId, room, player) {
+  graceTimers.set(
+    player.token,
+    setTimeout(() => {
+      graceTimers.delete(player.token);
+      // A guest's seat may have been taken back under a new id
+      const playerId = findPlayerIdByToken(room, player.token);
+      if (playerId && !room.players[playerId].connected) {
+        removePlayer(roomId, playerId);
       }
-    }
+    }, RECONNECT_GRACE_MS)
+  );
+}
+
+// Seats the socket's player again. A guest's reserved seat, found by its
+// token, moves over to their new id.
+function rejoinRoom(socket, roomId, oldPlayerId) {
+  const room = rooms[roomId];
+  const { playerId } = socket.data;
+  const wasConnected = room.players[oldPlayerId].connected;
+  const player = { ...room.players[oldPlayerId], connected: true };
+  delete player.restored;
+
+  delete room.players[oldPlayerId];
+  room.players[playerId] = player;
+
+  clearTimeout(graceTimers.get(player.token));
+  graceTimers.delete(player.token);
+
+  socket.join(roomId);
+
+  socket.emit("joinedRoom", {
+    roomId,
+    playerId,
+    playerColor: player.color,
+    playerToken: player.token,
+    variant: getVariant(room.game.variant),
+    gameState: serializeGame(room),
+    players: serializePlayers(room),
+    chat: getVisibleChat(room, playerId),
+  });
+
+  // Another tab of a player who is still here changes nothing for the others
+  if (!wasConnected) {
+    socket.to(roomId).emit("opponentReconnected", {
+      playerId,
+      previousPlayerId: oldPlayerId,
+      name: player.name,
+      color: player.color,
+      players: serializePlayers(room),
+    });
   }
-  return pieces;
+
+  roomChanged(roomId);
 }
 
-function playerHasAnyCapture(game, playerColor) {
-  const { board, mustContinueFrom } = game;
+// Names for the White/Black tags of exported games: { w, b }
+function getPlayerNames(room) {
+  const names = {};
+  for (const { name, color } of Object.values(room.players)) {
+    names[color] = name;
+  }
+  return names;
+}
 
-  // If in the middle of a capture chain, only that piece matters
-  if (mustContinueFrom) {
-    return hasCaptureFrom(game, mustContinueFrom.row, mustContinueFrom.col);
+// Who sits where: { w, b } of player ids
+function getSeats(room) {
+  const seats = {};
+  for (const [playerId, { color }] of Object.entries(room.players)) {
+    seats[color] = playerId;
   }
+  return seats;
+}
+
+// Game state as sent to clients, with the moves available to the side to
+// move and the clock if the room has one
+function serializeGame(room) {
+  const { game, clock } = room;
+  return {
+    ...game,
+    legalMoves: getLegalMoves(game),
+    clock: clock ? serializeClock(clock, Date.now()) : null,
+  };
+}
+
+// ---------- Persistence ----------
+
+// What survives a restart; sockets, spectators and pending requests don't
+function toStoredRoom(room) {
+  const { game, players, allowSpectators, clock, drawOffers } = room;
+  const { isPrivate, rated, chat } = room;
+  return {
+    game,
+    players,
+    allowSpectators,
+    clock,
+    drawOffers,
+    isPrivate,
+    rated,
+    chat,
+  };
+}
 
-  // Check all player's pieces
-  const pieces = getAllPlayerPieces(board, playerColor);
-  for (const { row, col } of pieces) {
-    if (hasCaptureFrom(game, row, col)) {
-      return true;
+// Saves the room after a change, or drops it once it is gone or its game
+// has ended (finished games are archived instead)
+function persistRoom(roomId) {
+  const room = rooms[roomId];
+  const saving =
+    room && room.game.status !== "finished"
+      ? storage.saveRoom(roomId, toStoredRoom(room))
+      : storage.deleteRoom(roomId);
+
+  saving.catch((err) => console.error(`Could not save room ${roomId}:`, err));
+}
+
+// A finished game as it is archived
+function createArchiveRecord(roomId, room) {
+  const players = getPlayerNames(room);
+  return {
+    id: crypto.randomUUID(),
+    roomId,
+    variant: room.game.variant,
+    rated: room.rated,
+    players,
+    playerIds: getSeats(room),
+    winner: room.game.winner,
+    endReason: room.game.endReason,
+    startFen: room.game.startFen,
+    moves: room.game.history,
+    pdn: exportPdn(room.game, { players }),
+    finishedAt: Date.now(),
+  };
+}
+
+// Puts stored rooms back. Everybody is offline after a restart, so every
+// seat is reserved for its player's token as if they had just disconnected,
+// and marked as restored until its player is back.
+async function restoreRooms() {
+  for (const { roomId, room: stored } of await storage.loadRooms()) {
+    if (stored.game.status === "finished") {
+      persistRoom(roomId);
+      continue;
     }
+
+    const room = getRoom(roomId, stored.game.variant);
+    Object.assign(room, stored);
+
+    // Time spent offline isn't charged to anybody
+    if (room.clock?.active) room.clock.turnStartedAt = Date.now();
+
+    for (const player of Object.values(room.players)) {
+      if (player.isBot) continue;
+      player.connected = false;
+      player.restored = true;
+      reserveSeat(roomId, room, player);
+    }
+
+    if (countPlayers(room) === 0) expireIfEmpty(roomId);
+    scheduleFlagCheck(roomId);
+    scheduleBotMove(roomId);
   }
-  return false;
 }
 
-function isValidMove(game, from, to, playerColor) {
-  const { board, currentPlayer, status, mustContinueFrom } = game;
-  console.log("Validating move:", from, to, "for player", playerColor);
+// ---------- Ratings ----------
 
-  if (status !== "playing") return false;
-  if (currentPlayer !== playerColor) return false;
+async function getPlayerRating(playerId) {
+  const user = isUserId(playerId) ? await storage.getUser(playerId) : null;
+  return user?.rating ?? DEFAULT_RATING;
+}
 
-  const { row: fr, col: fc } = from;
-  const { row: tr, col: tc } = to;
+// Rates the archived game `record` for both players and stores their new
+// ratings and rating history. Resolves to the changes per color, or null
+// when a seat isn't held by an account.
+async function updateRatings(record) {
+  const { w, b } = record.playerIds;
+  const users = {
+    w: w && isUserId(w) ? await storage.getUser(w) : null,
+    b: b && isUserId(b) ? await storage.getUser(b) : null,
+  };
+  if (!users.w || !users.b) return null;
 
-  if (fr === tr && fc === tc) return false;
-  if (tr < 0 || tr >= 8 || tc < 0 || tc >= 8) return false;
+  const standing = (user) => ({
+    rating: user.rating ?? DEFAULT_RATING,
+    gamesPlayed: user.gamesPlayed ?? 0,
+  });
+  const changes = rateGame(
+    { w: standing(users.w), b: standing(users.b) },
+    record.winner
+  );
+
+  for (const color of ["w", "b"]) {
+    const user = users[color];
+    const opponent = users[color === "w" ? "b" : "w"];
+    const change = changes[color];
+
+    user.rating = change.after;
+    user.gamesPlayed = (user.gamesPlayed ?? 0) + 1;
+    user.ratingHistory = [
+      ...(user.ratingHistory || []),
+      {
+        gameId: record.id,
+        opponent: opponent.username,
+        winner: record.winner,
+        color,
+        ...change,
+        at: record.finishedAt,
+      },
+    ];
+    await storage.saveUser(user);
+  }
 
-  const piece = board[fr]?.[fc];
-  if (!piece) return false;
-  if (piece.toLowerCase() !== playerColor) return false;
+  return changes;
+}
 
-  if (mustContinueFrom) {
-    if (mustContinueFrom.row !== fr || mustContinueFrom.col !== fc) {
-      return false;
+// Rating updates read and write user records, so they run one at a time
+function queueRatingUpdate(record) {
+  const update = ratingUpdates.then(() => updateRatings(record));
+  ratingUpdates = update.catch(() => {});
+  return update;
+}
+
+// ---------- Chat ----------
+
+// The room's chat history without the messages `playerId` has muted
+function getVisibleChat(room, playerId) {
+  if (!room.players[playerId]?.mutesOpponent) return room.chat;
+  return room.chat.filter((message) => message.playerId === playerId);
+}
+
+// Sends a message to the room, except to players who muted its sender
+function emitChatMessage(roomId, room, message) {
+  let recipients = io.to(roomId);
+  for (const [playerId, player] of Object.entries(room.players)) {
+    if (player.mutesOpponent && playerId !== message.playerId) {
+      recipients = recipients.except(playerChannel(playerId));
     }
   }
+  recipients.emit("chatMessage", message);
+}
 
-  if (board[tr][tc] !== null) return false;
+// ---------- Lobby ----------
+//
+// Sockets in the lobby channel get the list of public rooms once, then a
+// lobbyRoomUpdated or lobbyRoomRemoved event whenever one of them changes.
 
-  const dr = tr - fr;
-  const dc = tc - fc;
-  const absDr = Math.abs(dr);
-  const absDc = Math.abs(dc);
+const LOBBY = "lobby";
 
-  const isWhite = piece.toLowerCase() === "w";
-  const isKing = piece === piece.toUpperCase();
+function listLobbyRooms() {
+  return Object.entries(rooms)
+    .filter(([, room]) => !room.isPrivate)
+    .map(([roomId, room]) => summarizeRoom(roomId, room));
+}
 
-  // Check if this is a capture move
-  let isCapture = false;
-  if (isKing) {
-    // For kings, check if there's an enemy along the diagonal path
-    const dirR = dr > 0 ? 1 : -1;
-    const dirC = dc > 0 ? 1 : -1;
-    for (let dist = 1; dist < absDr; dist++) {
-      const checkR = fr + dirR * dist;
-      const checkC = fc + dirC * dist;
-      const checkPiece = board[checkR][checkC];
-      if (checkPiece && checkPiece.toLowerCase() !== piece.toLowerCase()) {
-        isCapture = true;
-        break;
-      }
+function notifyLobby(roomId) {
+  const room = rooms[roomId];
+  if (room && !room.isPrivate) {
+    io.to(LOBBY).emit("lobbyRoomUpdated", {
+      room: summarizeRoom(roomId, room),
+    });
+  }
+}
+
+// Call after anything about a room changes
+function roomChanged(roomId) {
+  persistRoom(roomId);
+  notifyLobby(roomId);
+}
+
+function generateRoomId() {
+  let roomId;
+  do {
+    roomId = crypto.randomBytes(4).toString("hex");
+  } while (rooms[roomId]);
+  return roomId;
+}
+
+// A public room where somebody is waiting for an opponent, rated or not as
+// `rated` says. `variantId` and `timeControl` (parsed, or null for untimed)
+// are only matched when given.
+function findOpenRoom(variantId, timeControl, rated) {
+  return Object.keys(rooms).find((roomId) => {
+    const room = rooms[roomId];
+    const players = Object.values(room.players);
+    if (room.isPrivate || room.game.status !== "waiting") return false;
+    if (room.rated !== rated) return false;
+    if (players.length !== 1 || !players[0].connected) return false;
+    if (variantId !== undefined && room.game.variant !== variantId) {
+      return false;
     }
-  } else {
-    isCapture = absDr === 2 && absDc === 2;
+    if (timeControl === undefined) return true;
+    return isSameTimeControl(room.clock?.timeControl ?? null, timeControl);
+  });
+}
+
+// ---------- Matchmaking ----------
+
+// Seats a matched pair in a new room with random colors
+function startMatch(a, b) {
+  const roomId = generateRoomId();
+  const room = getRoom(roomId, a.variant);
+  if (a.timeControl) room.clock = createClock(a.timeControl);
+  room.rated = a.rated;
+
+  const [white, black] = Math.random() < 0.5 ? [a, b] : [b, a];
+  seatPlayer(room, white.id, white.name, "w");
+  seatPlayer(room, black.id, black.name, "b");
+  startGameIfReady(roomId, room);
+
+  for (const [entry, opponent] of [
+    [white, black],
+    [black, white],
+  ]) {
+    io.in(entry.socketId).socketsJoin(roomId);
+    io.to(entry.socketId).emit("matchFound", {
+      roomId,
+      playerId: entry.id,
+      playerColor: room.players[entry.id].color,
+      playerToken: room.players[entry.id].token,
+      variant: getVariant(room.game.variant),
+      rated: room.rated,
+      opponent: { name: opponent.name, rating: opponent.rating },
+      gameState: serializeGame(room),
+      players: serializePlayers(room),
+    });
   }
 
-  // MANDATORY CAPTURE RULE: If player has any capture available, they MUST capture
-  if (!isCapture && playerHasAnyCapture(game, playerColor)) {
-    return false; // Non-capture move when capture is available = invalid
+  roomChanged(roomId);
+}
+
+function runMatchmaking() {
+  for (const [a, b] of findPairs(matchQueue.values(), Date.now())) {
+    matchQueue.delete(a.id);
+    matchQueue.delete(b.id);
+    startMatch(a, b);
   }
+  updateMatchmakingTimer();
+}
 
-  // Kings have special movement rules
-  if (isKing) {
-    return isValidKingMove(game, from, to, piece, mustContinueFrom);
+// Keeps re-running the pairing while anybody is waiting
+function updateMatchmakingTimer() {
+  if (matchQueue.size === 0) {
+    clearInterval(matchmakingTimer);
+    matchmakingTimer = null;
+  } else if (!matchmakingTimer) {
+    matchmakingTimer = setInterval(runMatchmaking, MATCHMAKING_INTERVAL_MS);
   }
+}
 
-  // Regular piece logic
-  const isSimpleMove = absDr === 1 && absDc === 1;
+function leaveMatchQueue(playerId) {
+  const left = matchQueue.delete(playerId);
+  updateMatchmakingTimer();
+  return left;
+}
 
-  if (!isCapture && !isSimpleMove) {
-    return false;
-  }
+// ---------- Accounts ----------
+
+// What a successful sign-up or login returns
+function createSession(user) {
+  return {
+    token: signToken({ sub: user.id, username: user.username }, AUTH_SECRET),
+    user: publicUser(user),
+  };
+}
 
-  if (isCapture) {
-    const midR = fr + dr / 2;
-    const midC = fc + dc / 2;
-    const midPiece = board[midR]?.[midC];
-    if (!midPiece) return false;
-    if (midPiece.toLowerCase() === piece.toLowerCase()) return false;
-    return true;
+// Sockets may log in with the token from /api/login (auth: { token }).
+// Without one they play as a guest for as long as the connection lasts.
+io.use((socket, next) => {
+  const { token } = socket.handshake.auth || {};
+
+  if (token === undefined) {
+    socket.data.playerId = `guest:${socket.id}`;
+    socket.data.username = null;
+    next();
+    return;
   }
 
-  if (mustContinueFrom) {
-    return false;
+  const session = verifyToken(token, AUTH_SECRET);
+  if (!session) {
+    const err = new Error("Invalid or expired login token.");
+    err.data = { code: "INVALID_TOKEN" };
+    next(err);
+    return;
   }
 
-  if (isWhite && dr >= 0) return false;
-  if (!isWhite && dr <= 0) return false;
+  socket.data.playerId = session.sub;
+  socket.data.username = session.username;
+  next();
+});
+
+// ---------- REST API ----------
+//
+// Read-only views for lobby pages and integrations. Room state uses the same
+// shapes as the Socket.IO payloads (joinedRoom, gameUpdate).
 
-  return true;
+const startedAt = Date.now();
+
+function apiError(res, status, code, message) {
+  res.status(status).json({ error: { code, message } });
 }
 
-function isValidKingMove(game, from, to, piece, mustContinueFrom) {
-  const { board } = game;
-  const { row: fr, col: fc } = from;
-  const { row: tr, col: tc } = to;
+// An archived game without its move list
+function summarizeArchivedGame({ moves, pdn, ...summary }) {
+  return { ...summary, moveCount: moves.length };
+}
 
-  const dr = tr - fr;
-  const dc = tc - fc;
-  const absDr = Math.abs(dr);
-  const absDc = Math.abs(dc);
+// Both answer { token, user }
+app.post("/api/register", async (req, res) => {
+  const { username, password } = req.body || {};
+  const result = await registerUser(storage, username, password);
+  if (result.error) {
+    const status = result.error.code === "USERNAME_TAKEN" ? 409 : 400;
+    apiError(res, status, result.error.code, result.error.message);
+    return;
+  }
 
-  // Must move diagonally
-  if (absDr !== absDc) return false;
+  res.status(201).json(createSession(result.user));
+});
 
-  // King can move 1 square OR multiple squares
-  if (absDr < 1) return false;
+app.post("/api/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const result = await authenticate(storage, username, password);
+  if (result.error) {
+    apiError(res, 401, result.error.code, result.error.message);
+    return;
+  }
 
-  const dirR = dr > 0 ? 1 : -1;
-  const dirC = dc > 0 ? 1 : -1;
+  res.json(createSession(result.user));
+});
 
-  let foundEnemy = false;
-  let enemyRow = -1;
-  let enemyCol = -1;
-  let distance = 1;
+// Rating and rating history of an account
+app.get("/api/users/:username", async (req, res) => {
+  const user = await storage.getUser(userIdFor(req.params.username));
+  if (!user) {
+    apiError(res, 404, "USER_NOT_FOUND", "No such user.");
+    return;
+  }
 
-  // Scan the diagonal path
-  while (distance < absDr) {
-    const checkR = fr + dirR * distance;
-    const checkC = fc + dirC * distance;
+  res.json({
+    user: {
+      ...publicUser(user),
+      rating: user.rating ?? DEFAULT_RATING,
+      gamesPlayed: user.gamesPlayed ?? 0,
+      ratingHistory: user.ratingHistory || [],
+    },
+  });
+});
 
-    const checkPiece = board[checkR][checkC];
+app.get("/health", (req, res) => {
+  res.json({
+    status: "ok",
+    uptimeMs: Date.now() - startedAt,
+    rooms: Object.keys(rooms).length,
+    connections: io.engine.clientsCount,
+  });
+});
 
-    if (checkPiece === null) {
-      // Empty square, continue scanning
-    } else if (checkPiece.toLowerCase() === piece.toLowerCase()) {
-      // Our own piece blocks the path
-      return false;
-    } else {
-      // Enemy piece
-      if (foundEnemy) {
-        // Can't jump over two pieces
-        return false;
-      }
-      foundEnemy = true;
-      enemyRow = checkR;
-      enemyCol = checkC;
-    }
+// Public rooms only; ?status=waiting|playing|finished narrows the list
+app.get("/api/rooms", (req, res) => {
+  const { status } = req.query;
+  const list = Object.entries(rooms)
+    .filter(([, room]) => !room.isPrivate)
+    .filter(([, room]) => !status || room.game.status === status)
+    .map(([roomId, room]) => summarizeRoom(roomId, room));
 
-    distance++;
-  }
+  res.json({ rooms: list });
+});
 
-  // Check destination square
-  if (board[tr][tc] !== null) {
-    return false;
+app.get("/api/rooms/:roomId", (req, res) => {
+  const { roomId } = req.params;
+  const room = rooms[roomId];
+  if (!room) {
+    apiError(res, 404, "ROOM_NOT_FOUND", "No such room.");
+    return;
   }
 
-  // If we found an enemy, this is a capture move
-  if (foundEnemy) {
-    // King can land on any empty square after the captured piece
-    // Just verify the path after the enemy is clear (already checked above)
-    return true;
-  } else {
-    // This is a simple move (no capture)
-    if (mustContinueFrom) {
-      // During capture chain, only captures allowed
-      return false;
-    }
-    // King can move any number of empty squares diagonally
-    return true;
+  res.json({
+    roomId,
+    variant: getVariant(room.game.variant),
+    gameState: serializeGame(room),
+    players: serializePlayers(room),
+    spectatorCount: countSpectators(room),
+  });
+});
+
+// Newest first; ?limit= caps the list (default 50, at most 200)
+app.get("/api/games", async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const games = await storage.listGames({ limit });
+
+  res.json({ games: games.map(summarizeArchivedGame) });
+});
+
+// The archived game with its move list (history entries) and PDN
+app.get("/api/games/:gameId", async (req, res) => {
+  const game = await storage.getGame(req.params.gameId);
+  if (!game) {
+    apiError(res, 404, "GAME_NOT_FOUND", "No such game.");
+    return;
   }
-}
 
-function applyMove(game, from, to) {
-  const { board } = game;
-  const { row: fr, col: fc } = from;
-  const { row: tr, col: tc } = to;
-  const piece = board[fr][fc];
+  res.json({ game });
+});
 
-  board[fr][fc] = null;
+// ---------- Socket.IO events ----------
 
-  const dr = tr - fr;
-  const dc = tc - fc;
-  const absDr = Math.abs(dr);
+io.on("connection", (socket) => {
+  console.log("Client connected:", socket.id);
 
-  let didCapture = false;
+  const { playerId, username } = socket.data;
+  playerSockets.set(playerId, (playerSockets.get(playerId) || 0) + 1);
+  socket.join(playerChannel(playerId));
 
-  const isKing = piece === piece.toUpperCase();
+  // Registers `handler` for `event`, called as (payload, fail, ack) once the
+  // payload matches the event's schema. `fail(code, message, details)` reports
+  // a problem: in the acknowledgement for ack events, as "error" otherwise.
+  function on(event, handler) {
+    const usesAck = ACK_EVENTS.has(event);
 
-  if (isKing) {
-    // King capture: find and remove the jumped piece along the diagonal
-    const dirR = dr > 0 ? 1 : -1;
-    const dirC = dc > 0 ? 1 : -1;
+    socket.on(event, (payload, ack) => {
+      function fail(code, message, details = null) {
+        if (usesAck && typeof ack === "function") {
+          ack({ error: { code, message, details } });
+        } else {
+          socket.emit("error", { event, code, message, details });
+        }
+      }
 
-    for (let dist = 1; dist < absDr; dist++) {
-      const checkR = fr + dirR * dist;
-      const checkC = fc + dirC * dist;
-      const checkPiece = board[checkR][checkC];
+      if (usesAck && typeof ack !== "function") {
+        fail("ACK_REQUIRED", `${event} answers through an acknowledgement.`);
+        return;
+      }
 
-      if (checkPiece && checkPiece.toLowerCase() !== piece.toLowerCase()) {
-        board[checkR][checkC] = null;
-        didCapture = true;
-        break;
+      const problem = validate(EVENT_SCHEMAS[event], payload);
+      if (problem) {
+        fail("INVALID_PAYLOAD", problem);
+        return;
       }
+
+      handler(payload ?? {}, fail, ack);
+    });
+  }
+
+  // The room and this player's color in it, or null once `fail` has been told
+  // why not
+  function findSeat(roomId, fail) {
+    const room = rooms[roomId];
+    if (!room) {
+      fail("ROOM_NOT_FOUND", "No such room.");
+      return null;
     }
-  } else {
-    // Regular piece capture
-    const absDc = Math.abs(tc - fc);
-    if (absDr === 2 && absDc === 2) {
-      const mr = fr + dr / 2;
-      const mc = fc + dc / 2;
-      board[mr][mc] = null;
-      didCapture = true;
+
+    // Spectators may watch but not act
+    if (room.spectators[socket.id]) {
+      fail("SPECTATORS_CANNOT_ACT", "Spectators can only watch.");
+      return null;
+    }
+
+    const playerColor = getPlayerColor(room, playerId);
+    if (!playerColor) {
+      fail("NOT_A_PLAYER", "You don't have a seat in this room.");
+      return null;
     }
+    return { room, playerColor };
   }
 
-  board[tr][tc] = piece;
+  // `vsBot` asks for a computer opponent in the second seat at `botLevel`
+  function joinRoom(payload, fail) {
+    const { roomId, name, variant, token, spectate, fen } = payload;
+    const { vsBot, botLevel = DEFAULT_LEVEL, timeControl, isPrivate } = payload;
+    const { rated } = payload;
 
-  // King promotion
-  if (piece === "w" && tr === 0) board[tr][tc] = "W";
-  if (piece === "b" && tr === 7) board[tr][tc] = "B";
+    if (spectate) {
+      joinAsSpectator(socket, roomId, name, fail);
+      return;
+    }
 
-  if (didCapture && hasCaptureFrom(game, tr, tc)) {
-    game.mustContinueFrom = { row: tr, col: tc };
-  } else {
-    game.mustContinueFrom = null;
-    game.currentPlayer = game.currentPlayer === "w" ? "b" : "w";
-  }
-}
+    // A player with a seat here already, e.g. from another tab
+    if (rooms[roomId]?.players[playerId]) {
+      rejoinRoom(socket, roomId, playerId);
+      return;
+    }
 
-// ---------- Socket.IO events ----------
+    // Returning guest: take back the seat reserved for this token. Account
+    // seats only go back to the same account, above.
+    if (token && rooms[roomId]) {
+      const oldPlayerId = findPlayerIdByToken(rooms[roomId], token);
+      if (
+        oldPlayerId &&
+        !isUserId(oldPlayerId) &&
+        !rooms[roomId].players[oldPlayerId].connected
+      ) {
+        rejoinRoom(socket, roomId, oldPlayerId);
+        return;
+      }
+    }
 
-io.on("connection", (socket) => {
-  console.log("Client connected:", socket.id);
+    if (variant !== undefined && !getVariant(variant)) {
+      fail("UNKNOWN_VARIANT", `Unknown variant: ${variant}`, { variant });
+      return;
+    }
+
+    if (vsBot && !getLevel(botLevel)) {
+      fail("UNKNOWN_BOT_LEVEL", `Unknown bot level: ${botLevel}`, { botLevel });
+      return;
+    }
+
+    // Only accounts can play rated games, against people, from the start
+    const wantsRated = rooms[roomId] ? rooms[roomId].rated : Boolean(rated);
+    if (wantsRated) {
+      if (!isUserId(playerId)) {
+        fail("ACCOUNT_REQUIRED", "Log in to play rated games.");
+        return;
+      }
+      if (vsBot) {
+        fail("BOT_GAME", "Games against the computer can't be rated.");
+        return;
+      }
+      if (fen !== undefined && !rooms[roomId]) {
+        fail("CUSTOM_POSITION", "Rated games start from the usual position.");
+        return;
+      }
+    }
+
+    // Only used when this call creates the room
+    const clockSettings =
+      timeControl === undefined ? null : parseTimeControl(timeControl);
+    if (timeControl !== undefined && !clockSettings) {
+      fail("INVALID_TIME_CONTROL", "That time control can't be used.", {
+        timeControl,
+      });
+      return;
+    }
 
-  socket.on("joinRoom", ({ roomId, name }) => {
-    if (!roomId) return;
+    // A new room may start from a custom position
+    let customGame = null;
+    if (fen !== undefined && !rooms[roomId]) {
+      const result = createGameFromFen(fen, variant);
+      if (result.error) {
+        fail(result.error.code, result.error.message);
+        return;
+      }
+      customGame = result.game;
+    }
+
+    const isNewRoom = !rooms[roomId];
+    const room = getRoom(roomId, variant);
+    if (customGame) room.game = customGame;
+    if (isNewRoom && clockSettings) room.clock = createClock(clockSettings);
+    if (isNewRoom) {
+      room.isPrivate = Boolean(isPrivate);
+      room.rated = wantsRated;
+    }
 
-    const room = getRoom(roomId);
     const playersCount = countPlayers(room);
 
     if (playersCount >= 2) {
-      socket.emit("roomFull");
+      fail("ROOM_FULL", "Both seats are taken.");
       return;
     }
 
     const color = playersCount === 0 ? "w" : "b";
 
-    room.players[socket.id] = {
-      name: name || "Player",
-      color,
-    };
+    // Account holders always play under their username
+    const player = seatPlayer(room, playerId, username || name, color);
 
-    if (countPlayers(room) === 2) {
-      room.game.status = "playing";
+    if (vsBot && countPlayers(room) === 1) {
+      addBotPlayer(room, color === "w" ? "b" : "w", botLevel);
     }
 
+    // An imported game that already ended stays finished
+    startGameIfReady(roomId, room);
+
     socket.join(roomId);
 
     socket.emit("joinedRoom", {
       roomId,
+      playerId,
       playerColor: color,
-      gameState: room.game,
-      players: room.players,
+      playerToken: player.token,
+      variant: getVariant(room.game.variant),
+      gameState: serializeGame(room),
+      players: serializePlayers(room),
+      spectatorCount: countSpectators(room),
+      chat: getVisibleChat(room, playerId),
     });
 
     socket.to(roomId).emit("playerJoined", {
-      socketId: socket.id,
-      name,
+      playerId,
+      name: player.name,
       color,
-      gameState: room.game,
-      players: room.players,
+      gameState: serializeGame(room),
+      players: serializePlayers(room),
+    });
+
+    io.to(roomId).emit("gameUpdate", serializeGame(room));
+    roomChanged(roomId);
+    scheduleBotMove(roomId);
+  }
+
+  on("joinRoom", joinRoom);
+
+  // Same as joinRoom, but into a new room with a generated id
+  on("createRoom", (payload, fail) => {
+    joinRoom({ ...payload, roomId: generateRoomId() }, fail);
+  });
+
+  // Takes the free seat of an open public room matching `variant` and
+  // `timeControl` when given, or opens a new public room with them. Rooms are
+  // unrated unless `rated` asks otherwise.
+  on("joinAnyRoom", ({ name, variant, timeControl, rated = false }, fail) => {
+    if (variant !== undefined && !getVariant(variant)) {
+      fail("UNKNOWN_VARIANT", `Unknown variant: ${variant}`, { variant });
+      return;
+    }
+
+    const clockSettings =
+      timeControl === undefined ? undefined : parseTimeControl(timeControl);
+    if (clockSettings === null) {
+      fail("INVALID_TIME_CONTROL", "That time control can't be used.", {
+        timeControl,
+      });
+      return;
+    }
+
+    const roomId =
+      findOpenRoom(variant, clockSettings, rated) || generateRoomId();
+    joinRoom({ roomId, name, variant, timeControl, rated }, fail);
+  });
+
+  // Queues the player for a game of `variant` with `timeControl` (untimed
+  // if left out); asking again replaces the earlier preferences
+  on("findMatch", async ({ name, variant, timeControl, rated }, fail) => {
+    const variantId = variant ?? DEFAULT_VARIANT;
+    if (!getVariant(variantId)) {
+      fail("UNKNOWN_VARIANT", `Unknown variant: ${variant}`, { variant });
+      return;
+    }
+
+    const clockSettings =
+      timeControl === undefined ? null : parseTimeControl(timeControl);
+    if (timeControl !== undefined && !clockSettings) {
+      fail("INVALID_TIME_CONTROL", "That time control can't be used.", {
+        timeControl,
+      });
+      return;
+    }
+
+    if (rated && !isUserId(playerId)) {
+      fail("ACCOUNT_REQUIRED", "Log in to play rated games.");
+      return;
+    }
+
+    let rating;
+    try {
+      rating = await getPlayerRating(playerId);
+    } catch (err) {
+      console.error(`Could not read the rating of ${playerId}:`, err);
+      fail("STORAGE_ERROR", "Your rating could not be read; try again.");
+      return;
+    }
+    if (!socket.connected) return;
+
+    const entry = {
+      id: playerId,
+      socketId: socket.id,
+      name: username || name || "Player",
+      variant: variantId,
+      timeControl: clockSettings,
+      rated: Boolean(rated),
+      rating,
+      joinedAt: Date.now(),
+    };
+    matchQueue.set(playerId, entry);
+
+    socket.emit("matchSearching", {
+      variant: entry.variant,
+      timeControl: entry.timeControl,
+      rated: entry.rated,
+    });
+    runMatchmaking();
+  });
+
+  on("cancelMatch", (payload, fail) => {
+    if (!leaveMatchQueue(playerId)) {
+      fail("NOT_SEARCHING", "You are not looking for a match.");
+      return;
+    }
+    socket.emit("matchCancelled");
+  });
+
+  on("joinLobby", () => {
+    socket.join(LOBBY);
+    socket.emit("lobbyRooms", { rooms: listLobbyRooms() });
+  });
+
+  on("leaveLobby", () => {
+    socket.leave(LOBBY);
+  });
+
+  // Accepts either a single hop ({ from, to }) or a full turn ({ path })
+  on("makeMove", ({ roomId, from, to, path }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room, playerColor } = seat;
+
+    // A move made after the flag fell loses on time instead
+    checkFlagFall(roomId);
+
+    const move = path ? { path } : { from, to };
+    const result = applyMove(room.game, move, playerColor);
+    if (result.error) {
+      const { code, message, details } = result.error;
+      fail(code, message, details);
+      return;
+    }
+
+    commitGame(roomId, room, result.game);
+  });
+
+  on("legalMoves", ({ roomId }, fail, ack) => {
+    const room = rooms[roomId];
+    if (!room) {
+      fail("ROOM_NOT_FOUND", "No such room.");
+      return;
+    }
+
+    ack({
+      currentPlayer: room.game.currentPlayer,
+      moves: getLegalMoves(room.game),
     });
+  });
 
-    io.to(roomId).emit("gameUpdate", room.game);
+  on("getHistory", ({ roomId }, fail, ack) => {
+    const room = rooms[roomId];
+    if (!room) {
+      fail("ROOM_NOT_FOUND", "No such room.");
+      return;
+    }
+
+    ack({ history: room.game.history });
   });
 
-  socket.on("makeMove", ({ roomId, from, to }) => {
+  on("exportPdn", ({ roomId }, fail, ack) => {
     const room = rooms[roomId];
-    if (!room) return;
+    if (!room) {
+      fail("ROOM_NOT_FOUND", "No such room.");
+      return;
+    }
 
-    const { game } = room;
-    const playerColor = getPlayerColor(room, socket.id);
-    if (!playerColor) return;
-
-    // Check if the move is valid
-    if (!isValidMove(game, from, to, playerColor)) {
-      // Check if player tried to make a non-capture move when capture was available
-      const { row: fr, col: fc } = from;
-      const { row: tr, col: tc } = to;
-      const piece = game.board[fr]?.[fc];
-
-      if (piece && piece.toLowerCase() === playerColor) {
-        const dr = tr - fr;
-        const dc = tc - fc;
-        const absDr = Math.abs(dr);
-        const absDc = Math.abs(dc);
-        const isKing = piece === piece.toUpperCase();
-
-        // Check if this was a simple move attempt
-        let isSimpleMoveAttempt = false;
-        if (isKing) {
-          // King simple move: diagonal with no captures
-          if (absDr === absDc && absDr > 0) {
-            const dirR = dr > 0 ? 1 : -1;
-            const dirC = dc > 0 ? 1 : -1;
-            let hasEnemyInPath = false;
-            for (let dist = 1; dist < absDr; dist++) {
-              const checkR = fr + dirR * dist;
-              const checkC = fc + dirC * dist;
-              const checkPiece = game.board[checkR]?.[checkC];
-              if (
-                checkPiece &&
-                checkPiece.toLowerCase() !== piece.toLowerCase()
-              ) {
-                hasEnemyInPath = true;
-                break;
-              }
-            }
-            if (!hasEnemyInPath && game.board[tr]?.[tc] === null) {
-              isSimpleMoveAttempt = true;
-            }
-          }
-        } else {
-          // Regular piece simple move
-          if (absDr === 1 && absDc === 1 && game.board[tr]?.[tc] === null) {
-            isSimpleMoveAttempt = true;
-          }
-        }
+    ack({ pdn: exportPdn(room.game, { players: getPlayerNames(room) }) });
+  });
 
-        // If player tried simple move but has capture available, send warning
-        if (isSimpleMoveAttempt && playerHasAnyCapture(game, playerColor)) {
-          socket.emit("mustCapture", {
-            message: "You must capture when a capture is available!",
-          });
-          return;
-        }
-      }
+  // Creates a new room holding the position after the PDN's moves
+  on("importPdn", ({ roomId, pdn }, fail, ack) => {
+    if (rooms[roomId]) {
+      fail("ROOM_EXISTS", "Pick an unused room id.");
+      return;
+    }
 
-      socket.emit("invalidMove");
+    const result = importPdn(pdn);
+    if (result.error) {
+      fail(result.error.code, result.error.message);
       return;
     }
 
-    applyMove(game, from, to);
-    io.to(roomId).emit("gameUpdate", game);
+    const room = getRoom(roomId, result.game.variant);
+    room.game = result.game;
+    roomChanged(roomId);
+    expireIfEmpty(roomId);
+
+    ack({ roomId, gameState: serializeGame(room) });
   });
 
-  socket.on("resetGame", ({ roomId }) => {
+  on("getPosition", ({ roomId }, fail, ack) => {
     const room = rooms[roomId];
-    if (!room) return;
+    if (!room) {
+      fail("ROOM_NOT_FOUND", "No such room.");
+      return;
+    }
+
+    ack({ fen: toFen(room.game) });
+  });
 
-    const playerColor = getPlayerColor(room, socket.id);
-    if (!playerColor) return;
+  // `fen` optionally asks to restart from a custom position
+  on("resetGame", ({ roomId, fen }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room, playerColor } = seat;
+
+    // A rated game stands as played
+    if (room.rated) {
+      fail("RATED_GAME", "Rated games can't be restarted.");
+      return;
+    }
+
+    if (fen !== undefined) {
+      const result = createGameFromFen(fen, room.game.variant);
+      if (result.error) {
+        fail(result.error.code, result.error.message);
+        return;
+      }
+    }
+
+    const opponentId = getOpponentId(room, playerId);
+    if (!opponentId) {
+      fail("NO_OPPONENT", "There is no opponent to ask yet.");
+      return;
+    }
+
+    // The computer opponent always agrees
+    if (opponentId === BOT_ID) {
+      resetRoomGame(roomId, room, fen);
+      return;
+    }
+
+    // Remember what was asked for so the response can't change it
+    room.pendingReset = { requesterId: playerId, fen: fen ?? null };
 
     // Send reset request to the other player
-    socket.to(roomId).emit("resetRequest", {
+    io.to(playerChannel(opponentId)).emit("resetRequest", {
       fromPlayer: playerColor,
-      requesterId: socket.id,
+      requesterId: playerId,
+      fen: fen ?? null,
     });
   });
 
-  socket.on("resetResponse", ({ roomId, accepted, requesterId }) => {
-    const room = rooms[roomId];
-    if (!room) return;
+  on("resetResponse", ({ roomId, accepted }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room } = seat;
 
-    if (accepted) {
-      // Reset the game
-      room.game = createNewGame();
-      if (countPlayers(room) === 2) {
-        room.game.status = "playing";
-      }
+    // Only the other player can answer a reset request
+    const { pendingReset } = room;
+    if (!pendingReset || pendingReset.requesterId === playerId) {
+      fail("NO_PENDING_REQUEST", "Your opponent hasn't asked for a reset.");
+      return;
+    }
 
-      io.to(roomId).emit("gameUpdate", room.game);
-      io.to(roomId).emit("resetConfirmed");
+    room.pendingReset = null;
+
+    if (accepted) {
+      resetRoomGame(roomId, room, pendingReset.fen);
     } else {
       // Notify requester that reset was declined
-      io.to(requesterId).emit("resetDeclined");
+      io.to(playerChannel(pendingReset.requesterId)).emit("resetDeclined");
+    }
+  });
+
+  // Asks the opponent to take back the requester's last turn
+  on("requestUndo", ({ roomId }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room, playerColor } = seat;
+
+    const { game } = room;
+    if (room.rated) {
+      fail("RATED_GAME", "Moves can't be taken back in rated games.");
+      return;
+    }
+    if (room.clock) {
+      fail("TIMED_GAME", "Moves can't be taken back in timed games.");
+      return;
+    }
+    if (game.status !== "playing") {
+      fail("GAME_NOT_PLAYING", "The game is not in progress.");
+      return;
+    }
+    if (game.mustContinueFrom) {
+      fail("CHAIN_IN_PROGRESS", "Finish your capture first.");
+      return;
+    }
+    if (findLastTurnOf(game, playerColor) === -1) {
+      fail("NOTHING_TO_UNDO", "You haven't moved yet.");
+      return;
+    }
+    if (room.undoRequest) {
+      fail("REQUEST_PENDING", "A takeback is already being asked for.");
+      return;
+    }
+
+    const opponentId = getOpponentId(room, playerId);
+    if (!opponentId) {
+      fail("NO_OPPONENT", "There is no opponent to ask yet.");
+      return;
     }
+
+    // The computer opponent always agrees
+    if (opponentId === BOT_ID) {
+      undoRoomGame(roomId, room, playerColor);
+      return;
+    }
+
+    room.undoRequest = { fromColor: playerColor };
+
+    io.to(playerChannel(opponentId)).emit("undoRequest", {
+      fromPlayer: playerColor,
+      requesterId: playerId,
+    });
+  });
+
+  on("undoResponse", ({ roomId, accepted }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room, playerColor } = seat;
+
+    // Only the other player can answer a pending request
+    const { undoRequest } = room;
+    if (!undoRequest || undoRequest.fromColor === playerColor) {
+      fail("NO_PENDING_REQUEST", "Your opponent hasn't asked for a takeback.");
+      return;
+    }
+
+    room.undoRequest = null;
+
+    if (accepted) {
+      undoRoomGame(roomId, room, undoRequest.fromColor);
+    } else {
+      io.to(playerChannel(getOpponentId(room, playerId))).emit("undoDeclined");
+    }
+  });
+
+  on("resign", ({ roomId }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room, playerColor } = seat;
+
+    if (room.game.status !== "playing") {
+      fail("GAME_NOT_PLAYING", "The game is not in progress.");
+      return;
+    }
+
+    finishGame(roomId, room, playerColor === "w" ? "b" : "w", "resignation");
+  });
+
+  on("offerDraw", ({ roomId }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room, playerColor } = seat;
+
+    if (room.game.status !== "playing") {
+      fail("GAME_NOT_PLAYING", "The game is not in progress.");
+      return;
+    }
+
+    const offers = room.drawOffers[playerColor];
+    if (room.drawOffer) {
+      fail("OFFER_PENDING", "A draw offer is already waiting for an answer.");
+      return;
+    }
+    if (offers.count >= MAX_DRAW_OFFERS) {
+      fail("TOO_MANY_OFFERS", "You have offered a draw too often.", {
+        maxOffers: MAX_DRAW_OFFERS,
+      });
+      return;
+    }
+    if (offers.atMove === countTurnsOf(room.game, playerColor)) {
+      fail(
+        "MOVE_BEFORE_OFFERING_AGAIN",
+        "Make a move before offering another draw."
+      );
+      return;
+    }
+
+    const opponentId = getOpponentId(room, playerId);
+    if (!opponentId) {
+      fail("NO_OPPONENT", "There is no opponent to offer a draw to.");
+      return;
+    }
+
+    // The computer opponent plays on
+    if (opponentId === BOT_ID) {
+      socket.emit("drawDeclined");
+      return;
+    }
+
+    offers.count++;
+    offers.atMove = countTurnsOf(room.game, playerColor);
+    room.drawOffer = { fromColor: playerColor };
+
+    // Send draw offer to the other player
+    io.to(playerChannel(opponentId)).emit("drawOffer", {
+      fromPlayer: playerColor,
+      requesterId: playerId,
+    });
+  });
+
+  on("respondDraw", ({ roomId, accepted }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room, playerColor } = seat;
+
+    if (room.game.status !== "playing") {
+      fail("GAME_NOT_PLAYING", "The game is not in progress.");
+      return;
+    }
+
+    // Only the other player can answer a pending offer
+    const { drawOffer } = room;
+    if (!drawOffer || drawOffer.fromColor === playerColor) {
+      fail("NO_PENDING_REQUEST", "Your opponent hasn't offered a draw.");
+      return;
+    }
+
+    room.drawOffer = null;
+
+    if (accepted) {
+      finishGame(roomId, room, null, "agreement");
+    } else {
+      // Notify requester that the draw was declined
+      io.to(playerChannel(getOpponentId(room, playerId))).emit("drawDeclined");
+    }
+  });
+
+  // Each socket may send a few messages in a row, then has to slow down
+  const chatLimit = createRateLimit();
+
+  on("chatMessage", ({ roomId, text }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room } = seat;
+
+    const cleaned = cleanMessage(text);
+    if (cleaned.error === "empty") {
+      fail("EMPTY_MESSAGE", "There is nothing to send.");
+      return;
+    }
+    if (cleaned.error === "tooLong") {
+      fail("MESSAGE_TOO_LONG", "That message is too long.", {
+        maxLength: MAX_MESSAGE_LENGTH,
+      });
+      return;
+    }
+    if (!allowMessage(chatLimit, Date.now())) {
+      fail("RATE_LIMITED", "You are sending messages too fast.");
+      return;
+    }
+
+    const player = room.players[playerId];
+    const message = {
+      id: crypto.randomUUID(),
+      playerId,
+      name: player.name,
+      color: player.color,
+      text: cleaned.text,
+      at: Date.now(),
+    };
+    room.chat = appendMessage(room.chat, message);
+
+    emitChatMessage(roomId, room, message);
+    persistRoom(roomId);
+  });
+
+  // Hides the opponent's chat messages from this player, or shows them again
+  on("muteOpponent", ({ roomId, muted }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+
+    const player = seat.room.players[playerId];
+    player.mutesOpponent = muted;
+    socket.emit("opponentMuted", { muted });
+    persistRoom(roomId);
+  });
+
+  // Lets a player open or close their room to spectators
+  on("setSpectatorsAllowed", ({ roomId, allowed }, fail) => {
+    const seat = findSeat(roomId, fail);
+    if (!seat) return;
+    const { room } = seat;
+
+    room.allowSpectators = allowed;
+
+    if (!room.allowSpectators) {
+      for (const spectatorId of Object.keys(room.spectators)) {
+        io.to(spectatorId).emit("spectatorsDisabled", { roomId });
+        io.in(spectatorId).socketsLeave(roomId);
+      }
+      room.spectators = {};
+    }
+
+    io.to(roomId).emit("spectatorSettings", {
+      allowSpectators: room.allowSpectators,
+      spectatorCount: countSpectators(room),
+    });
+    roomChanged(roomId);
   });
 
   socket.on("disconnect", () => {
     console.log("Client disconnected:", socket.id);
 
-    for (const [roomId, room] of Object.entries(rooms)) {
-      if (room.players[socket.id]) {
-        delete room.players[socket.id];
-        io.to(roomId).emit("playerLeft", { socketId: socket.id });
+    if (matchQueue.get(playerId)?.socketId === socket.id) {
+      leaveMatchQueue(playerId);
+    }
 
-        if (countPlayers(room) === 0) {
-          delete rooms[roomId];
-        } else {
-          room.game = createNewGame();
-          io.to(roomId).emit("gameUpdate", room.game);
-        }
+    for (const [roomId, room] of Object.entries(rooms)) {
+      if (room.spectators[socket.id]) {
+        delete room.spectators[socket.id];
+        emitSpectatorCount(roomId);
       }
     }
+
+    // Seats only empty once the player's last tab is gone
+    const openSockets = playerSockets.get(playerId) - 1;
+    if (openSockets > 0) {
+      playerSockets.set(playerId, openSockets);
+      return;
+    }
+    playerSockets.delete(playerId);
+
+    // Keep the seat reserved so the player can come back with their token
+    for (const [roomId, room] of Object.entries(rooms)) {
+      const player = room.players[playerId];
+      if (!player) continue;
+
+      player.connected = false;
+      io.to(roomId).emit("opponentDisconnected", {
+        playerId,
+        color: player.color,
+        graceMs: RECONNECT_GRACE_MS,
+      });
+
+      reserveSeat(roomId, room, player);
+      notifyLobby(roomId);
+    }
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
-});
+restoreRooms()
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Server listening on http://localhost:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("Could not restore rooms:", err);
+    process.exit(1);
+  });